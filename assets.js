@@ -0,0 +1,248 @@
+/*
+ * Loads every sprite the game draws once, before the title screen, and draws sprites and sprite
+ * sheet animations out of the cache. Browser only: game_core.js never creates images itself, it
+ * asks the asset manager it is handed to draw by name.
+ */
+
+/*
+------------------------------
+------ ASSET SECTION ---------
+------------------------------
+*/
+
+/**
+ * Every sprite in sprites/. A sprite sheet has its frames side by side in one row:
+ *
+ * src:          the image file
+ * frame_width:  width of one frame in the image (leave out for a single image)
+ * frame_height: height of one frame in the image
+ * frames:       number of frames
+ * fps:          frames shown per second
+ * loop:         true to start over after the last frame, false to hold it
+ * fallback:     {shape: rect, circle, triangle_up or triangle_down, color} drawn if the image
+ *               failed to load
+ */
+const sprite_manifest = {
+	player: {
+		src: 'sprites/player.png',
+		fallback: {shape: 'triangle_up', color: '#2060FF'}
+	},
+	enemy: {
+		src: 'sprites/enemy_sheet.png',
+		frame_width: 64,
+		frame_height: 64,
+		frames: 4,
+		fps: 8,
+		loop: true,
+		fallback: {shape: 'triangle_down', color: '#FF0000'}
+	},
+	// the single frame the enemy sheet was made from
+	enemy_still: {
+		src: 'sprites/enemy.png',
+		fallback: {shape: 'triangle_down', color: '#FF0000'}
+	},
+	boss: {
+		src: 'sprites/bossenemy.png',
+		fallback: {shape: 'triangle_down', color: '#9400D3'}
+	},
+	projectile: {
+		src: 'sprites/projectile.png',
+		fallback: {shape: 'rect', color: '#FFA500'}
+	},
+	laser: {
+		src: 'sprites/laser.png',
+		fallback: {shape: 'rect', color: '#00FFFF'}
+	},
+	missile: {
+		src: 'sprites/missile.png',
+		fallback: {shape: 'triangle_up', color: '#C0C0C0'}
+	},
+	explosion: {
+		src: 'sprites/explosion.png',
+		frame_width: 32,
+		frame_height: 32,
+		frames: 8,
+		fps: 16,
+		loop: false,
+		fallback: {shape: 'circle', color: '#FFA500'}
+	}
+};
+
+
+/**
+ * Preloads the images of a sprite manifest and draws sprites out of them. Images that fail to
+ * load are drawn as their fallback shape instead, so a missing file never breaks the game.
+ *
+ * @typedef Asset_Manager
+ */
+class Asset_Manager {
+	/** @type {Object<String, HTMLImageElement>} Loaded images by file name */
+	images = {};
+
+	/** @type {Object<String, Boolean>} Files that failed to load */
+	missing = {};
+
+	/** @type {Number} Files that finished loading, successfully or not */
+	settled = 0;
+
+	/** @type {Object<String, HTMLCanvasElement>} Tinted copies of images, by file name and color */
+	tinted = {};
+
+	/**
+	 * @param {Object} manifest The sprites to load, see sprite_manifest
+	 */
+	constructor(manifest) {
+		this.manifest = manifest;
+
+		// several sprites can share one file, only load it once
+		const sources = Object.values(manifest).map(sprite => sprite.src);
+		this.sources = sources.filter((src, index) => sources.indexOf(src) == index);
+	}
+
+	/**
+	 * @type {Number} How much of the loading is done, 0 to 1
+	 */
+	get progress() {
+		return this.sources.length == 0 ? 1 : this.settled / this.sources.length;
+	}
+
+	/**
+	 * @returns {Boolean} true once every image has loaded or failed
+	 */
+	isLoaded() {
+		return this.settled >= this.sources.length;
+	}
+
+	/**
+	 * Starts loading every image of the manifest.
+	 *
+	 * @returns {Promise} Resolves once every image has loaded or failed, it never rejects
+	 */
+	load() {
+		return Promise.all(this.sources.map(src => new Promise(resolve => {
+			const img = new Image();
+			img.onload = () => {
+				this.images[src] = img;
+				this.settled++;
+				resolve();
+			};
+			img.onerror = () => {
+				console.warn(`Asset_Manager: could not load ${src}, drawing a fallback shape instead`);
+				this.missing[src] = true;
+				this.settled++;
+				resolve();
+			};
+			img.src = src;
+		})));
+	}
+
+	/**
+	 * @param {String} name A sprite of the manifest
+	 * @param {Number} time Seconds the animation has been playing
+	 * @returns {Number} The frame of the sprite to show
+	 */
+	frameAt(name, time) {
+		const sprite = this.manifest[name];
+		const frames = sprite.frames || 1;
+		const frame = Math.floor(time * (sprite.fps || 0));
+		return sprite.loop ? frame % frames : Math.min(frame, frames - 1);
+	}
+
+	/**
+	 * Draws a sprite centered on a point.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {String} name A sprite of the manifest
+	 * @param {Number} x Center of the sprite
+	 * @param {Number} y Center of the sprite
+	 * @param {Number} width Width to draw the sprite at
+	 * @param {Number} height Height to draw the sprite at
+	 * @param {Number} [time] Seconds the animation has been playing, for sprite sheets
+	 * @param {String} [tint] Color to tint the sprite with, null to draw it as it is
+	 */
+	drawSprite(graphics, name, x, y, width, height, time = 0, tint = null) {
+		const sprite = this.manifest[name];
+		let img = sprite ? this.images[sprite.src] : undefined;
+		if (img === undefined) {
+			const fallback = sprite ? sprite.fallback : undefined;
+			this.drawFallback(graphics, tint != null && fallback ? {shape: fallback.shape, color: tint} : fallback, x, y, width, height);
+			return;
+		}
+		if (tint != null) {
+			img = this.tint(sprite.src, tint);
+		}
+
+		const left = x - width / 2;
+		const top = y - height / 2;
+		if (sprite.frame_width === undefined) {
+			graphics.drawImage(img, left, top, width, height);
+			return;
+		}
+
+		const frame = this.frameAt(name, time);
+		graphics.drawImage(img,
+			frame * sprite.frame_width, 0, sprite.frame_width, sprite.frame_height,
+			left, top, width, height);
+	}
+
+	/**
+	 * Makes (once) a copy of an image with a color laid over it. The color only lands where the
+	 * image isn't transparent, so the outline of the sprite stays the same.
+	 *
+	 * @param {String} src A loaded image
+	 * @param {String} color The tint
+	 * @returns {HTMLCanvasElement} The tinted copy, drawable like the image itself
+	 */
+	tint(src, color) {
+		const key = `${src}|${color}`;
+		if (this.tinted[key] === undefined) {
+			const img = this.images[src];
+			const canvas = document.createElement('canvas');
+			canvas.width = img.width;
+			canvas.height = img.height;
+
+			const graphics = canvas.getContext('2d');
+			graphics.drawImage(img, 0, 0);
+			graphics.globalCompositeOperation = 'source-atop';
+			graphics.globalAlpha = .6;
+			graphics.fillStyle = color;
+			graphics.fillRect(0, 0, img.width, img.height);
+			this.tinted[key] = canvas;
+		}
+		return this.tinted[key];
+	}
+
+	/**
+	 * Draws the stand-in shape for a sprite whose image is missing.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Object} [fallback] The fallback of the sprite, a magenta box when there is none
+	 * @param {Number} x Center of the shape
+	 * @param {Number} y Center of the shape
+	 * @param {Number} width Width of the shape
+	 * @param {Number} height Height of the shape
+	 */
+	drawFallback(graphics, fallback = {shape: 'rect', color: '#FF00FF'}, x, y, width, height) {
+		const half_width = width / 2;
+		const half_height = height / 2;
+
+		graphics.fillStyle = fallback.color;
+		graphics.beginPath();
+		if (fallback.shape == 'circle') {
+			graphics.arc(x, y, Math.min(half_width, half_height), 0, 2 * Math.PI);
+		} else if (fallback.shape == 'triangle_up') {
+			graphics.moveTo(x, y - half_height);
+			graphics.lineTo(x + half_width, y + half_height);
+			graphics.lineTo(x - half_width, y + half_height);
+			graphics.closePath();
+		} else if (fallback.shape == 'triangle_down') {
+			graphics.moveTo(x, y + half_height);
+			graphics.lineTo(x + half_width, y - half_height);
+			graphics.lineTo(x - half_width, y - half_height);
+			graphics.closePath();
+		} else {
+			graphics.rect(x - half_width, y - half_height, width, height);
+		}
+		graphics.fill();
+	}
+}
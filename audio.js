@@ -0,0 +1,378 @@
+/*
+ * Plays the game's sound effects and music through the Web Audio API. Every sound is synthesized
+ * from the definitions below, so there are no files to load. Browser only: game_core.js never
+ * touches audio nodes, the world just asks for sounds by name through world.playSound().
+ */
+
+/*
+------------------------------
+------ AUDIO SECTION ---------
+------------------------------
+*/
+
+/**
+ * Every sound effect. A sound is one or more voices played together:
+ *
+ * wave:     sine, square, sawtooth, triangle, or noise for a filtered white noise burst
+ * from:     starting pitch in Hz, for noise the cutoff of the low-pass filter
+ * to:       pitch (or cutoff) the voice slides to by the end
+ * duration: seconds the voice lasts, it fades out over the whole time
+ * delay:    seconds after the sound starts before the voice starts
+ * volume:   loudness of the voice, 0 to 1
+ *
+ * limit is how many copies of the sound may play at once, anything past it is dropped.
+ */
+const sound_manifest = {
+	fire: {
+		limit: 3,
+		voices: [{wave: 'square', from: 880, to: 440, duration: .08, volume: .08}]
+	},
+	hit: {
+		limit: 4,
+		voices: [{wave: 'square', from: 240, to: 120, duration: .06, volume: .12}]
+	},
+	enemy_death: {
+		limit: 4,
+		voices: [
+			{wave: 'noise', from: 4000, to: 300, duration: .3, volume: .3},
+			{wave: 'sine', from: 300, to: 60, duration: .25, volume: .2}
+		]
+	},
+	boss_death: {
+		limit: 2,
+		voices: [
+			{wave: 'noise', from: 3000, to: 100, duration: 1.2, volume: .45},
+			{wave: 'sawtooth', from: 200, to: 30, duration: 1, volume: .2},
+			{wave: 'noise', from: 2000, to: 200, duration: .6, delay: .3, volume: .3}
+		]
+	},
+	player_damage: {
+		limit: 2,
+		voices: [
+			{wave: 'sawtooth', from: 160, to: 50, duration: .25, volume: .25},
+			{wave: 'noise', from: 1500, to: 200, duration: .15, volume: .2}
+		]
+	},
+	power_up: {
+		limit: 2,
+		voices: [
+			{wave: 'triangle', from: 440, to: 880, duration: .12, volume: .2},
+			{wave: 'triangle', from: 660, to: 1320, duration: .12, delay: .08, volume: .2}
+		]
+	},
+	achievement: {
+		limit: 1,
+		voices: [
+			{wave: 'sine', from: 523, to: 523, duration: .12, volume: .25},
+			{wave: 'sine', from: 659, to: 659, duration: .12, delay: .1, volume: .25},
+			{wave: 'sine', from: 784, to: 1046, duration: .25, delay: .2, volume: .25}
+		]
+	},
+	game_over: {
+		limit: 1,
+		voices: [
+			{wave: 'triangle', from: 392, to: 392, duration: .25, volume: .3},
+			{wave: 'triangle', from: 330, to: 330, duration: .25, delay: .25, volume: .3},
+			{wave: 'triangle', from: 262, to: 262, duration: .25, delay: .5, volume: .3},
+			{wave: 'triangle', from: 196, to: 150, duration: .8, delay: .75, volume: .3}
+		]
+	}
+};
+
+/**
+ * Background music, one loop per track. Every step is an eighth note, a step holds the midi note
+ * of each part or null for a rest.
+ */
+const music_tracks = {
+	main: {
+		bpm: 150,
+		parts: {
+			bass: {wave: 'triangle', volume: .25, length: .9},
+			lead: {wave: 'square', volume: .06, length: .5}
+		},
+		steps: {
+			bass: [
+				45, null, 45, 57, 45, null, 45, 55, 43, null, 43, 55, 43, null, 43, 52,
+				41, null, 41, 53, 41, null, 41, 52, 40, null, 40, 52, 40, 47, 40, 52
+			],
+			lead: [
+				69, null, 72, null, 76, null, 74, 72, 67, null, 71, null, 74, null, 72, 71,
+				65, null, 69, null, 72, null, 71, 69, 64, null, 68, null, 71, null, 76, null
+			]
+		}
+	}
+};
+
+/**
+ * Starting volumes, each 0 to 1. Sound effects and music both go through master. The settings menu
+ * starts from these and saves the player's own.
+ */
+const audio_settings = {
+	master: .8,
+	sfx: .8,
+	music: .5,
+	muted: false
+};
+
+
+/**
+ * Owns the audio context and plays sounds and music by name. The context can only start after the
+ * player has pressed something, so nothing plays before unlock() has been called from an input
+ * event. Without Web Audio the manager quietly does nothing.
+ *
+ * @typedef Audio_Manager
+ */
+class Audio_Manager {
+	/** @type {AudioContext} Created by unlock() */
+	context = null;
+
+	/** @type {Object<String, GainNode>} The master, sfx and music volume nodes */
+	channels = {};
+
+	/** @type {Object<String, Number>} Volume of each channel, 0 to 1 */
+	volumes = {master: audio_settings.master, sfx: audio_settings.sfx, music: audio_settings.music};
+
+	/** @type {Boolean} true while everything is silenced by the mute key */
+	muted = audio_settings.muted;
+
+	/** @type {Boolean} true while the game is paused, the context is held still */
+	suspended = false;
+
+	/** @type {Object<String, Array<Number>>} When each playing copy of a sound ends, by sound name */
+	playing = {};
+
+	/** @type {Object} The track being played, null for silence */
+	track = null;
+
+	/** @type {Number} Step of the track that is scheduled next */
+	step = 0;
+
+	/** @type {Number} Context time the next step of the track starts at */
+	next_step_time = 0;
+
+	/** @type {Number} Seconds of music scheduled ahead of time, so a slow frame can't make it stutter */
+	lookahead = .2;
+
+	/**
+	 * @param {Object} manifest The sound effects, see sound_manifest
+	 * @param {Object} tracks The music, see music_tracks
+	 */
+	constructor(manifest, tracks) {
+		this.manifest = manifest;
+		this.tracks = tracks;
+	}
+
+	/**
+	 * Creates the audio context. Browsers only allow that from a key press, click or touch, so
+	 * call this from their listeners. Calling it again does nothing.
+	 */
+	unlock() {
+		if (this.context != null) {
+			if (this.context.state == 'suspended' && !this.suspended) {
+				this.context.resume();
+			}
+			return;
+		}
+
+		const AudioContext = window.AudioContext || window.webkitAudioContext;
+		if (AudioContext === undefined) {
+			return;
+		}
+		this.context = new AudioContext();
+
+		this.channels.master = this.context.createGain();
+		this.channels.master.connect(this.context.destination);
+		['sfx', 'music'].forEach(name => {
+			this.channels[name] = this.context.createGain();
+			this.channels[name].connect(this.channels.master);
+		});
+		this.applyVolumes();
+
+		// one second of white noise, shared by every noise voice
+		const length = this.context.sampleRate;
+		this.noise = this.context.createBuffer(1, length, this.context.sampleRate);
+		const samples = this.noise.getChannelData(0);
+		for (let i = 0; i < length; i++) {
+			samples[i] = Math.random() * 2 - 1;
+		}
+
+		if (this.suspended) {
+			this.context.suspend();
+		}
+	}
+
+	/**
+	 * Pushes the volumes and the mute into the gain nodes.
+	 */
+	applyVolumes() {
+		if (this.context == null) {
+			return;
+		}
+		this.channels.master.gain.value = this.muted ? 0 : this.volumes.master;
+		this.channels.sfx.gain.value = this.volumes.sfx;
+		this.channels.music.gain.value = this.volumes.music;
+	}
+
+	/**
+	 * @param {String} channel master, sfx or music
+	 * @param {Number} volume 0 to 1
+	 */
+	setVolume(channel, volume) {
+		this.volumes[channel] = Math.min(Math.max(volume, 0), 1);
+		this.applyVolumes();
+	}
+
+	/**
+	 * @param {Boolean} muted true to silence everything, false to hear it again
+	 */
+	setMuted(muted) {
+		this.muted = muted;
+		this.applyVolumes();
+	}
+
+	/**
+	 * Freezes every sound and the music where they are, for the pause screen.
+	 */
+	suspend() {
+		this.suspended = true;
+		if (this.context != null) {
+			this.context.suspend();
+		}
+	}
+
+	/**
+	 * Carries on from where suspend() stopped.
+	 */
+	resume() {
+		this.suspended = false;
+		if (this.context != null) {
+			this.context.resume();
+		}
+	}
+
+	/**
+	 * Plays a sound effect, unless too many copies of it are playing already.
+	 *
+	 * @param {String} name A sound of the manifest
+	 */
+	play(name) {
+		const sound = this.manifest[name];
+		if (this.context == null || sound === undefined) {
+			return;
+		}
+
+		const now = this.context.currentTime;
+		const playing = (this.playing[name] || []).filter(end => end > now);
+		if (playing.length >= sound.limit) {
+			this.playing[name] = playing;
+			return;
+		}
+
+		let end = now;
+		sound.voices.forEach(voice => {
+			const start = now + (voice.delay || 0);
+			this.playVoice(voice.wave, voice.from, voice.to, start, voice.duration, voice.volume, this.channels.sfx);
+			end = Math.max(end, start + voice.duration);
+		});
+		playing.push(end);
+		this.playing[name] = playing;
+	}
+
+	/**
+	 * Plays one tone or noise burst that slides in pitch and fades out.
+	 *
+	 * @param {String} wave An oscillator type, or noise
+	 * @param {Number} from Starting pitch, or filter cutoff for noise
+	 * @param {Number} to Final pitch or cutoff
+	 * @param {Number} start Context time to start at
+	 * @param {Number} duration Seconds to play for
+	 * @param {Number} volume 0 to 1
+	 * @param {AudioNode} output Where the voice goes, a channel
+	 */
+	playVoice(wave, from, to, start, duration, volume, output) {
+		const context = this.context;
+		const gain = context.createGain();
+		gain.gain.setValueAtTime(volume, start);
+		// exponential ramps can't reach 0, this is silent enough
+		gain.gain.exponentialRampToValueAtTime(.0001, start + duration);
+		gain.connect(output);
+
+		let source;
+		if (wave == 'noise') {
+			source = context.createBufferSource();
+			source.buffer = this.noise;
+			source.loop = true;
+
+			const filter = context.createBiquadFilter();
+			filter.type = 'lowpass';
+			filter.frequency.setValueAtTime(from, start);
+			filter.frequency.exponentialRampToValueAtTime(to, start + duration);
+			source.connect(filter);
+			filter.connect(gain);
+		} else {
+			source = context.createOscillator();
+			source.type = wave;
+			source.frequency.setValueAtTime(from, start);
+			if (to != from) {
+				source.frequency.exponentialRampToValueAtTime(to, start + duration);
+			}
+			source.connect(gain);
+		}
+
+		source.start(start);
+		source.stop(start + duration);
+	}
+
+	/**
+	 * Starts looping a music track. Does nothing if it is already playing.
+	 *
+	 * @param {String} name A track of music_tracks
+	 */
+	playMusic(name) {
+		const track = this.tracks[name];
+		if (this.track === track) {
+			return;
+		}
+		this.track = track;
+		this.step = 0;
+		this.next_step_time = this.context != null ? this.context.currentTime : 0;
+	}
+
+	/**
+	 * Stops the music after the notes already scheduled.
+	 */
+	stopMusic() {
+		this.track = null;
+	}
+
+	/**
+	 * Schedules the music a little ahead of time. Call this once per frame.
+	 */
+	update() {
+		if (this.context == null || this.track == null) {
+			return;
+		}
+
+		const track = this.track;
+		const step_length = 60 / track.bpm / 2;
+		const now = this.context.currentTime;
+		// the context might have started after playMusic(), or the tab slept, don't play catch up
+		if (this.next_step_time < now) {
+			this.next_step_time = now;
+		}
+
+		while (this.next_step_time < now + this.lookahead) {
+			Object.keys(track.parts).forEach(part_name => {
+				const part = track.parts[part_name];
+				const notes = track.steps[part_name];
+				const note = notes[this.step % notes.length];
+				if (note != null) {
+					const frequency = 440 * Math.pow(2, (note - 69) / 12);
+					this.playVoice(part.wave, frequency, frequency, this.next_step_time, step_length * part.length, part.volume, this.channels.music);
+				}
+			});
+			this.step++;
+			this.next_step_time += step_length;
+		}
+	}
+}
@@ -0,0 +1,4834 @@
+/*
+ * The simulation half of Space Shooter. Everything in this file is free of the DOM: nothing here
+ * touches document, window or a canvas when it is loaded or updated, so it can be loaded by the
+ * page with a script tag or pulled into Node with require('./game_core.js').
+ *
+ * The draw methods only ever use the graphics context and the asset manager (see assets.js) that
+ * are handed to them by the page.
+ */
+
+/*
+------------------------------
+------ CONFIG SECTION --------
+------------------------------
+*/
+
+const config = {
+	// the page's settings menu changes the graphics, effects, hud and debug options while the
+	// game runs and saves them, see setting_definitions in space_shooter.js
+	graphics: {
+		// css pixels per playfield pixel, null to fit the playfield to the window
+		scale: null,
+		// canvas pixels per css pixel, null to follow the monitor (window.devicePixelRatio)
+		pixel_ratio: null,
+		// most frames drawn per second, the world keeps updating at update_rate either way
+		fps: 60
+	},
+	canvas_size: {
+		width: 300,
+		height: 500
+	},
+	update_rate: {
+		// speeds are in pixels per update and replays count updates, so this never changes
+		fps: 60,
+		seconds: null
+	},
+	power_ups: {
+		// chance that a destroyed enemy of each kind leaves a power-up behind
+		drop_chance: {
+			enemy: .08,
+			boss: 1
+		},
+		// how likely each power-up is to be the one dropped, relative to the others
+		weights: {
+			spread_shot: 3,
+			rapid_fire: 3,
+			shield: 2,
+			health: 2
+		},
+		// pixels per update a dropped power-up drifts down
+		fall_speed: 1.2
+	},
+	player: {
+		// ships each player has for the run, counting the one they start in
+		lives: 3,
+		// seconds a player who lost a ship waits before the next one comes in
+		respawn_delay: 2,
+		// seconds a player can't be hurt after a hit or coming back, so one touch is one hit
+		invulnerable_time: 1.5,
+		// blinks per second while a player can't be hurt
+		blink_rate: 8
+	},
+	co_op: {
+		// seconds a player out of ships waits before coming back, as long as the other one is up
+		respawn_delay: 5,
+		// sprite tint of each player, null keeps the sprite as it is
+		tints: [null, '#30D030']
+	},
+	particles: {
+		// false to skip particle effects altogether
+		enabled: true,
+		// most particles alive at once, bursts past it are cut short to keep the frame rate up
+		max: 600
+	},
+	effects: {
+		// scrolling stars behind the playfield, a plain dark background when off
+		starfield: true,
+		// shake the playfield when the player is hurt or a boss goes down
+		screen_shake: true,
+		// flash the screen red when the player is hurt
+		damage_flash: true
+	},
+	scoring: {
+		// every kill within hold seconds of the last one adds step to the player's multiplier, up
+		// to max. After that the multiplier drains back to 1 by decay per second, a hit resets it
+		combo: {step: .25, max: 4, hold: 1.5, decay: 1},
+		// for destroying every enemy of a wave that waits to be cleared
+		wave_clear: 500,
+		// for every interval seconds a player goes without losing health
+		no_damage: {interval: 30, points: 250},
+		// seconds a score popup floats for and pixels it rises over that time
+		popup: {duration: 1, rise: 30}
+	},
+	difficulty: {
+		// a ramp makes everything this much tougher per minute survived, up to max times tougher
+		ramp: {per_minute: .1, max: 2},
+		// adaptive looks back every window seconds: a player who wasn't hurt and made at least
+		// kills kills gets a step tougher, one who lost hurt or more health gets a step easier
+		adaptive: {window: 10, step: .1, min: .6, max: 2, hurt: 30, kills: 3}
+	},
+	hud: {
+		// draw health, lives, score, level and buffs over the playfield
+		canvas: true,
+		// keep filling in the stat panels beside the canvas as well
+		side_panel: true
+	},
+	debug: {
+		// show how many frames were drawn over the last second
+		fps_counter: false,
+		// outline the box every body collides with
+		hitboxes: false
+	}
+};
+
+config.update_rate.seconds = 1 / config.update_rate.fps;
+
+/*
+------------------------------
+------ RANDOM SECTION --------
+------------------------------
+*/
+
+/**
+ * A small seedable random number generator (mulberry32). The game uses this instead of
+ * Math.random so two runs started with the same seed play out exactly the same way.
+ *
+ * @typedef Random
+ */
+class Random {
+	/**
+	 * @param {Number} seed Any 32 bit integer
+	 */
+	constructor(seed) {
+		this.seed = seed >>> 0;
+		this.state = this.seed;
+	}
+
+	/**
+	 * @returns {Number} The next number in the sequence, between 0 (inclusive) and 1 (exclusive)
+	 */
+	next() {
+		let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+
+	/**
+	 * @param {Number} min Lowest value that can be returned
+	 * @param {Number} max Value that is never quite reached
+	 * @returns {Number} A number between min and max
+	 */
+	range(min, max) {
+		return min + this.next() * (max - min);
+	}
+}
+
+/*
+------------------------------
+------- EVENT SECTION --------
+------------------------------
+*/
+
+/**
+ * Everything that happens in a run that the rest of the game might care about, with the fields
+ * every payload carries:
+ *
+ * gameStarted:      {seed, player_count, difficulty} a fresh run was started
+ * gameOver:         {won, results} the run ended, results is world.results()
+ * gameAbandoned:    {results} the run was left before it was over, by starting another one
+ * enemySpawned:     {entity, position} an enemy or boss entered the world
+ * enemyKilled:      {entity, position, cause, player} an enemy or boss was destroyed by cause, the
+ *                   body that dealt the last hit. player is who gets the credit, null for nobody
+ * playerHit:        {entity, position, cause, damage} a player lost damage health to cause
+ * enemyHit:         {entity, position, cause, damage} an enemy or boss lost damage health to cause,
+ *                   comes before the enemyKilled of a killing blow
+ * projectileFired:  {entity, position, cause} cause fired the projectile entity
+ * waveCleared:      {level, wave, perfect} a wave that waits to be cleared was, perfect if every
+ *                   enemy of it was destroyed and none got away
+ * scored:           {points, position, player, label} points were earned at position, credited to
+ *                   player (null for the whole team), label says what for (null for a plain kill)
+ */
+const game_events = {
+	gameStarted: ['seed', 'player_count', 'difficulty'],
+	gameOver: ['won', 'results'],
+	gameAbandoned: ['results'],
+	enemySpawned: ['entity', 'position'],
+	enemyKilled: ['entity', 'position', 'cause', 'player'],
+	playerHit: ['entity', 'position', 'cause', 'damage'],
+	enemyHit: ['entity', 'position', 'cause', 'damage'],
+	projectileFired: ['entity', 'position', 'cause'],
+	waveCleared: ['level', 'wave', 'perfect'],
+	scored: ['points', 'position', 'player', 'label']
+};
+
+
+/**
+ * Hands the events of game_events out to whoever subscribed to them, in the order they
+ * subscribed. Only known events can be subscribed to or emitted, and a payload missing one of its
+ * fields is refused, so a typo fails loudly instead of never firing.
+ *
+ * @typedef Event_Bus
+ */
+class Event_Bus {
+	/** @type {Object<String, Array<Function>>} Subscribers by event name */
+	handlers = {};
+
+	/**
+	 * @param {String} name A key of game_events
+	 */
+	static check(name) {
+		if (!game_events.hasOwnProperty(name)) {
+			throw new Error(`Event_Bus: unknown event ${name}`);
+		}
+	}
+
+	/**
+	 * Subscribes to an event.
+	 *
+	 * @param {String} name A key of game_events
+	 * @param {Function} handler Called with the payload every time the event is emitted
+	 * @returns {Function} Call it to unsubscribe again
+	 */
+	on(name, handler) {
+		Event_Bus.check(name);
+		if (this.handlers[name] === undefined) {
+			this.handlers[name] = [];
+		}
+		this.handlers[name].push(handler);
+		return () => this.off(name, handler);
+	}
+
+	/**
+	 * Unsubscribes from an event.
+	 *
+	 * @param {String} name A key of game_events
+	 * @param {Function} handler A handler passed to on()
+	 */
+	off(name, handler) {
+		Event_Bus.check(name);
+		const handlers = this.handlers[name] || [];
+		const index = handlers.indexOf(handler);
+		if (index >= 0) {
+			handlers.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Tells every subscriber of an event that it happened.
+	 *
+	 * @param {String} name A key of game_events
+	 * @param {Object} payload The fields listed for the event in game_events
+	 */
+	emit(name, payload) {
+		Event_Bus.check(name);
+		game_events[name].forEach(field => {
+			if (payload[field] === undefined) {
+				throw new Error(`Event_Bus: ${name} is missing its ${field}`);
+			}
+		});
+		// a copy, so handlers that unsubscribe while being called don't make others get skipped
+		(this.handlers[name] || []).slice().forEach(handler => handler(payload));
+	}
+}
+
+/*
+------------------------------
+------- BODY SECTION  --------
+------------------------------
+*/
+
+/**
+ * Represents a basic physics body in the world. It has all of the necessary information to be
+ * rendered, checked for collision, updated, and removed.
+ *
+ * @author Professor Tony
+ * @typedef Body
+ */
+class Body {
+	position = {x: 0, y: 0};
+	velocity = {x: 0, y: 0};
+	size = {width: 10, height: 10};
+	health = 100;
+
+	/** @type {Boolean} true once remove() was called, the body is gone at the end of the update */
+	removed = false;
+
+	/** @type {Number} Seconds this body has been updated for, drives sprite animations */
+	age = 0;
+
+	/**
+	 * Creates a new body with all of the default attributes
+	 *
+	 * @param {World} world The world this body lives in
+	 */
+	constructor(world) {
+		this.world = world;
+		// generate and assign the next body id
+		this.id = world.running_id++;
+		// add to the entity map
+		world.entities[this.id] = this;
+	}
+
+	/**
+	 * @type {Object} An object with two properties, width and height. The passed width and height
+	 * are equal to half ot the width and height of this body.
+	 */
+	get half_size() {
+		return {
+			width: this.size.width / 2,
+			height: this.size.height / 2
+		};
+	}
+
+	/**
+	 * @returns {Boolean} true if health is less than or equal to zero, false otherwise.
+	 */
+	isDead() {
+		return this.health <= 0;
+	}
+
+	/**
+	 * Takes health away from this body.
+	 *
+	 * @param {Number} amount Health to take away
+	 */
+	takeDamage(amount) {
+		this.health -= amount;
+	}
+
+	/**
+	 * @type {String} What kind of body this is for the collision_table, null for bodies that never
+	 * collide with anything.
+	 */
+	get kind() {
+		return null;
+	}
+
+	/**
+	 * Updates the position of this body using the set velocity.
+	 *
+	 * @param {Number} delta_time Seconds since last update
+	 */
+	update(delta_time) {
+		this.age += delta_time;
+
+		// move body
+		this.position.x += delta_time * this.velocity.x;
+		this.position.y += delta_time * this.velocity.y;
+	}
+
+	/**
+	 * This function draws a green line in the direction of the body's velocity. The length of this
+	 * line is equal to a tenth of the length of the real velocity
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Asset_Manager} assets The loaded sprites.
+	 */
+	draw(graphics, assets) {
+		graphics.strokeStyle = '#00FF00';
+		graphics.beginPath();
+		graphics.moveTo(this.position.x, this.position.y);
+		graphics.lineTo(this.position.x + this.velocity.x / 10, this.position.y + this.velocity.y / 10);
+		graphics.stroke();
+	}
+
+	/**
+	 * Marks this body to be removed at the end of the update loop
+	 */
+	remove() {
+		if (this.removed) {
+			return;
+		}
+		this.removed = true;
+		this.world.queued_entities_for_removal.push(this.id);
+	}
+}
+
+
+/**
+ * Represents a projectile body. Projectiles know who fired them: the faction decides who they can
+ * hurt, so player shots only hurt enemies and enemy shots only hurt the player.
+ *
+ * @author Cameron
+ * @typedef Projectile
+ */
+class Projectile extends Body {
+	speed = 10;
+
+	/** @type {Body} The body that fired this projectile, null if it is gone or unknown */
+	owner = null;
+
+	/** @type {String} player or enemy */
+	faction = 'player';
+
+	/** @type {Object} Unit vector the projectile travels along */
+	direction = {x: 0, y: -1};
+
+	/** @type {Number} Health taken from whatever the projectile hits */
+	damage = 100;
+
+	/** @type {String} Sprite drawn for player shots, see sprite_manifest */
+	sprite = 'projectile';
+
+	/** @type {Boolean} true if the projectile goes through what it hits instead of being used up */
+	pierce = false;
+
+	/** @type {Set<Number>} Ids of the bodies a piercing projectile already went through */
+	hit_ids = new Set();
+
+	/** @type {Number} Radians per update the projectile may turn toward the closest enemy, 0 to fly straight */
+	homing = 0;
+
+	/**
+	 * constructor - creates a new projectile at the position of whoever fired it.
+	 *
+	 * @param  {World} world The world the projectile is fired in
+	 * @param  {Number} x x position of the shooter when fired
+	 * @param  {Number} y y position of the shooter when fired
+	 * @param  {Object} [options] Any of owner, faction, direction, speed, damage, sprite, size,
+	 * pierce and homing. Left out, the projectile is a player shot flying straight up.
+	 */
+	constructor(world, x, y, options = {}) {
+		super(world);
+
+		this.position = {
+			x: x,
+			y: y
+		};
+
+		this.size = {
+			width: 10,
+			height: 20
+		};
+
+		if (options.owner !== undefined) {
+			this.owner = options.owner;
+		}
+		if (options.faction !== undefined) {
+			this.faction = options.faction;
+		}
+		if (options.speed !== undefined) {
+			this.speed = options.speed;
+		}
+		if (options.damage !== undefined) {
+			this.damage = options.damage;
+		}
+		if (options.sprite !== undefined) {
+			this.sprite = options.sprite;
+		}
+		if (options.size !== undefined) {
+			this.size = {
+				width: options.size.width,
+				height: options.size.height
+			};
+		}
+		if (options.pierce !== undefined) {
+			this.pierce = options.pierce;
+		}
+		if (options.homing !== undefined) {
+			this.homing = options.homing;
+		}
+		if (options.direction !== undefined) {
+			const length = Math.hypot(options.direction.x, options.direction.y) || 1;
+			this.direction = {
+				x: options.direction.x / length,
+				y: options.direction.y / length
+			};
+		}
+
+		// enemy shots are small round bullets
+		if (this.faction == 'enemy') {
+			this.size = {
+				width: 6,
+				height: 6
+			};
+		}
+		world.events.emit('projectileFired', {entity: this, position: this.position, cause: this.owner});
+	}
+
+	/** @type {String} player_shot or enemy_shot */
+	get kind() {
+		return `${this.faction}_shot`;
+	}
+
+	/**
+	 * Turns the projectile toward the closest enemy ahead of it, by at most homing radians.
+	 */
+	steer() {
+		let target = null;
+		let best = Infinity;
+		Object.values(this.world.entities).forEach(body => {
+			if ((body.kind == 'enemy' || body.kind == 'boss') && !body.removed && body.position.y < this.position.y) {
+				const distance = Math.hypot(body.position.x - this.position.x, body.position.y - this.position.y);
+				if (distance < best) {
+					best = distance;
+					target = body;
+				}
+			}
+		});
+		if (target == null) {
+			return;
+		}
+
+		const current = Math.atan2(this.direction.y, this.direction.x);
+		const wanted = Math.atan2(target.position.y - this.position.y, target.position.x - this.position.x);
+		// wrap the difference into -PI to PI so we always turn the short way round
+		let turn = wanted - current;
+		turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+		turn = Math.min(Math.max(turn, -this.homing), this.homing);
+
+		this.direction = {
+			x: Math.cos(current + turn),
+			y: Math.sin(current + turn)
+		};
+	}
+
+	/**
+	 * draw - draws the projectile centered on projectile's location, the projectile sprite for the
+	 * player and a red bullet for enemies.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Asset_Manager} assets The loaded sprites.
+	 */
+	draw(graphics, assets) {
+		if (this.faction == 'enemy') {
+			graphics.fillStyle = '#FF2020';
+			graphics.beginPath();
+			graphics.arc(this.position.x, this.position.y, this.half_size.width, 0, 2 * Math.PI);
+			graphics.fill();
+		} else {
+			assets.drawSprite(graphics, this.sprite, this.position.x, this.position.y, this.size.width, this.size.height, this.age);
+		}
+
+		// draw velocity lines
+		super.draw(graphics, assets);
+	}
+
+	/**
+	 * Moves the projectile along its direction, steering it first if it is homing.
+	 * Removes projectile once it has left the canvas through any edge.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		if (this.homing > 0) {
+			this.steer();
+		}
+
+		//move
+		this.position.x += this.direction.x * this.speed;
+		this.position.y += this.direction.y * this.speed;
+
+		// update position
+		super.update(delta_time);
+
+		if (this.position.x < -this.half_size.width ||
+			this.position.x > config.canvas_size.width + this.half_size.width ||
+			this.position.y < -this.half_size.height ||
+			this.position.y > config.canvas_size.height + this.half_size.height) {
+			this.remove();
+		}
+	}
+}
+
+/**
+ * Represents a player body. Extends a Body by handling controller management. The controller is
+ * filled in from the outside, by an input handler in the browser or by a script under Node.
+ *
+ * @author Professor Tony, Cory and Cameron
+ * @typedef Player
+ */
+class Player extends Body {
+	// this controller object is updated by whatever is driving the player
+	controller = {
+		move_x: 0,
+		move_y: 0,
+		action_1: false,
+		action_2: false
+	};
+	speed = 5;
+	diag_speed = this.speed*Math.cos(Math.PI/4);
+	max_health = 100;
+
+	/** @type {Array<Weapon>} The weapons action_2 cycles through, the first one is held at the start */
+	weapons = [];
+
+	/** @type {Number} Index of the weapon being held */
+	weapon_index = 0;
+
+	/** @type {Boolean} action_2 on the last update, so holding the button only switches once */
+	last_action_2 = false;
+
+	/** @type {Object<String, Object>} Active buffs by power-up name, see power_up_types */
+	buffs = {};
+
+	/** @type {Number} Which player this is, 0 for player one */
+	index = 0;
+
+	/** @type {Number} Seconds this player has been alive, over every life of the run */
+	time_alive = 0;
+
+	// kills credited to this player, over every life of the run
+	kills = 0;
+	boss_kills = 0;
+
+	/** @type {Number} This player's own share of the score, over every life of the run */
+	score = 0;
+
+	/** @type {Number} What the next kill's points are multiplied by */
+	combo = 1;
+
+	/** @type {Number} Seconds since the last kill, the combo drains once it passes the hold time */
+	time_since_kill = 0;
+
+	/** @type {Number} Seconds since this player last lost health, for the no damage bonus */
+	unhurt_time = 0;
+
+	/** @type {Number} Ships left counting this one, a ship is lost the moment health runs out */
+	lives = config.player.lives;
+
+	/** @type {Number} Seconds left before this player can be hurt again */
+	invulnerable = 0;
+
+	/**
+	 * Creates a new player with the default attributes.
+	 *
+	 * @param {World} world The world the player lives in
+	 * @param {Object} [controller] A controller to share instead of the player's own
+	 * @param {Number} [index] Which player this is, 0 for player one
+	 */
+	constructor(world, controller, index = 0) {
+		super(world);
+
+		if (controller) {
+			this.controller = controller;
+		}
+		this.index = index;
+		this.weapons = player_loadout.map(name => new Weapon(player_weapons[name]));
+
+		// we always want our new players to be at this location, spread out when there are two
+		this.position = {
+			x: config.canvas_size.width * (index + 1) / (world.player_count + 1),
+			y: config.canvas_size.height - 100
+		};
+
+		this.size = {
+			width: 20,
+			height: 20
+		};
+
+		if (world.particles != null) {
+			world.particles.attach('engine_trail', this, {x: 0, y: this.half_size.height});
+		}
+	}
+
+	/** @type {String} Always player */
+	get kind() {
+		return 'player';
+	}
+
+	/** @type {String} Color the sprite is tinted with, null for none */
+	get tint() {
+		return config.co_op.tints[this.index] || null;
+	}
+
+	/**
+	 * Counts a kill toward the combo.
+	 *
+	 * @returns {Number} The multiplier the kill's points get, the combo as it was before the kill
+	 */
+	comboKill() {
+		const combo = config.scoring.combo;
+		const multiplier = this.combo;
+		this.combo = Math.min(combo.max, this.combo + combo.step);
+		this.time_since_kill = 0;
+		return multiplier;
+	}
+
+	/**
+	 * @param {String} name A power-up name
+	 * @returns {Object} The active buff, or undefined
+	 */
+	buff(name) {
+		return this.buffs[name];
+	}
+
+	/**
+	 * Applies a power-up the player just touched, following the stacking rule of its type.
+	 *
+	 * @param {Power_Up} power_up The power-up being picked up
+	 */
+	pickUp(power_up) {
+		const type = power_up_types[power_up.type];
+
+		if (type.heal) {
+			this.health = Math.min(this.max_health, this.health + type.heal);
+			return;
+		}
+
+		const buff = this.buffs[power_up.type];
+		if (buff === undefined) {
+			this.buffs[power_up.type] = {time_left: type.duration, duration: type.duration, level: 1};
+			return;
+		}
+
+		if (type.stacking == 'extend') {
+			buff.time_left = Math.min(buff.time_left + type.duration, type.max_duration);
+			buff.duration = Math.max(buff.duration, buff.time_left);
+		} else {
+			// refresh and level both start the timer over, level also powers the buff up
+			buff.time_left = type.duration;
+			buff.duration = type.duration;
+			if (type.stacking == 'level') {
+				buff.level = Math.min(buff.level + 1, type.max_level);
+			}
+		}
+	}
+
+	/**
+	 * Takes health away, unless a shield is up to take the hit instead. Either way the player
+	 * can't be hurt again for a moment, and loses a ship if the hit was the last straw.
+	 *
+	 * @param {Number} amount Health to take away
+	 */
+	takeDamage(amount) {
+		if (amount <= 0 || this.invulnerable > 0) {
+			return;
+		}
+		this.invulnerable = config.player.invulnerable_time;
+		if (this.buffs.shield !== undefined) {
+			delete this.buffs.shield;
+			return;
+		}
+		super.takeDamage(Math.round(amount * this.world.director.scale('damage_taken')));
+		this.combo = 1;
+		this.unhurt_time = 0;
+		if (this.isDead()) {
+			this.lives = Math.max(0, this.lives - 1);
+		}
+	}
+
+	/**
+	 * @returns {Boolean} true while the player blinks, every other beat of the invulnerable time
+	 */
+	isBlinking() {
+		return this.invulnerable > 0 && Math.floor(this.invulnerable * config.player.blink_rate * 2) % 2 == 1;
+	}
+
+	/** @type {Weapon} The weapon being held */
+	get weapon() {
+		return this.weapons[this.weapon_index];
+	}
+
+	/**
+	 * Switches to the next weapon that still has ammo.
+	 */
+	nextWeapon() {
+		for (let i = 1; i <= this.weapons.length; i++) {
+			const index = (this.weapon_index + i) % this.weapons.length;
+			if (!this.weapons[index].isEmpty()) {
+				this.weapon_index = index;
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Fires the held weapon, with a fanned out pair of extra shots per spread shot level.
+	 */
+	fire() {
+		const spread = this.buff('spread_shot');
+		this.weapon.fire(this, spread !== undefined ? spread.level : 0);
+
+		// out of ammo, don't leave the player holding an empty gun
+		if (this.weapon.isEmpty()) {
+			this.nextWeapon();
+		}
+	}
+	/**
+	 * Draws the player as a triangle centered on the player's location.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Asset_Manager} assets The loaded sprites.
+	 */
+	draw(graphics, assets) {
+		if (!this.isBlinking()) {
+			assets.drawSprite(graphics, 'player', this.position.x, this.position.y, this.size.width, this.size.height, this.age, this.tint);
+		}
+
+		if (this.buffs.shield !== undefined) {
+			graphics.strokeStyle = power_up_types.shield.color;
+			graphics.beginPath();
+			graphics.arc(this.position.x, this.position.y, this.size.width * .8, 0, 2 * Math.PI);
+			graphics.stroke();
+		}
+
+		// draw velocity lines
+		super.draw(graphics, assets);
+	}
+
+	/**
+	 * Updates the player given the state of the player's controller.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+			//Player Movement
+			//update position by diagnal speed if headed in a full diagnal, an analog stick
+			//is already kept inside the unit circle so it can use regular speed
+			if(Math.abs(this.controller.move_x) == 1 && Math.abs(this.controller.move_y) == 1){
+				this.position.x += this.controller.move_x*this.diag_speed;
+				this.position.y += this.controller.move_y*this.diag_speed;
+			}
+			//otherwise use regular speed to update
+			else{
+				this.position.x += this.controller.move_x*this.speed;
+				this.position.y += this.controller.move_y*this.speed;
+			}
+
+			//Collision stuff
+			//die after health is 0 collisions, the world ends the run once every player is gone
+			if(this.isDead()){
+				this.remove();
+			} else {
+				this.time_alive += delta_time;
+				this.unhurt_time += delta_time;
+			}
+			this.invulnerable = Math.max(0, this.invulnerable - delta_time);
+
+			//Scoring
+			const scoring = config.scoring;
+			this.time_since_kill += delta_time;
+			if (this.time_since_kill > scoring.combo.hold) {
+				this.combo = Math.max(1, this.combo - scoring.combo.decay * delta_time);
+			}
+			if (this.unhurt_time >= scoring.no_damage.interval) {
+				this.unhurt_time = 0;
+				this.world.award(scoring.no_damage.points, this.position, this, 'NO DAMAGE');
+			}
+
+			//Buffs run out
+			Object.keys(this.buffs).forEach(name => {
+				const buff = this.buffs[name];
+				if (buff.duration > 0) {
+					buff.time_left -= delta_time;
+					if (buff.time_left <= 0) {
+						delete this.buffs[name];
+					}
+				}
+			});
+
+			//Combat
+			this.weapons.forEach(weapon => weapon.update(delta_time));
+			if(this.controller.action_2 && !this.last_action_2){
+				this.nextWeapon();
+			}
+			this.last_action_2 = this.controller.action_2;
+			if(this.controller.action_1){
+				if(this.weapon.canFire(this.buff('rapid_fire') ? .5 : 1)){
+					this.fire();
+				}
+			}
+
+		// update position
+		super.update(delta_time);
+
+		// clip to screen
+		this.position.x = Math.min(Math.max(0, this.position.x), config.canvas_size.width);
+		this.position.y = Math.min(Math.max(0, this.position.y), config.canvas_size.height);
+	}
+}
+
+
+/**
+ * Represents an enemy body. Extends body by handling speed and position
+ *
+ * @author Cory and Cameron
+ * @typedef Enemy
+ */
+class Enemy extends Body {
+	/** @type {Flight} Steers the enemy along paths and into the formation, null to fall straight */
+	flight = null;
+
+	/** @type {String} The key of enemy_types it was spawned as */
+	type = 'enemy';
+
+	/** @type {Number} Points for destroying it, see enemy_types */
+	points = 100;
+
+	/** @type {Boolean} true once a player destroyed it, rather than it leaving the screen */
+	destroyed = false;
+
+	/** @type {Enemy_Gun} Shoots at the player, null for enemies that don't shoot */
+	gun = null;
+
+	/**
+	 * Creates a new enemy with the default attributes.
+	 *
+	 * @param {World} world The world the enemy lives in
+	 * @param {Number} speed Distance moved down the screen every update
+	 * @param {Number} [x] Where to spawn, a random x when left out
+	 * @param {Number} [y] Where to spawn, just above the canvas when left out
+	 */
+	constructor(world, speed, x, y = -50) {
+		super(world);
+
+		this.speed = speed;
+		// enemies spawn above canvos at a random x unless told otherwise
+		this.position = {
+			x: x !== undefined ? x : this.world.random.next()*config.canvas_size.width,
+			y: y
+		};
+
+		this.size = {
+			width: 20,
+			height: 20
+		};
+	}
+
+	/** @type {String} Always enemy */
+	get kind() {
+		return 'enemy';
+	}
+
+	/**
+	 * Draws the enemy as a red triangle around the enemies position.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Asset_Manager} assets The loaded sprites.
+	 */
+	draw(graphics, assets) {
+		assets.drawSprite(graphics, 'enemy', this.position.x, this.position.y, this.size.width, this.size.height, this.age);
+
+		// draw velocity lines
+		super.draw(graphics, assets);
+	}
+
+	/**
+	 * Updates the enemy based on its speed. Enemies with a flight follow it instead of falling.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		if (this.gun != null) {
+			this.gun.update(delta_time);
+		}
+
+		if (this.flight != null) {
+			this.flight.update(delta_time);
+			super.update(delta_time);
+			return;
+		}
+
+		this.position.y += this.speed;
+		if(this.position.y >= config.canvas_size.height){
+			super.remove()
+		}
+		// update position
+		super.update(delta_time);
+		// clip to screen
+		this.position.x = Math.min(Math.max(0, this.position.x), config.canvas_size.width);
+		this.position.y = Math.min(Math.max(0, this.position.y), config.canvas_size.height);
+	}
+}
+
+
+/**
+ * The bosses of the game. A boss flies in, stops and fights through its phases until it is
+ * destroyed, the spawner holds every other spawn until then. New bosses only need a new entry here
+ * (or in a level script), never a new class:
+ *
+ * name:    shown over the boss health bar
+ * sprite:  the sprite to draw, see sprite_manifest in assets.js
+ * width:   size of the boss
+ * height:  size of the boss
+ * health:  health over every phase together
+ * speed:   pixels per update the boss flies in at, a spawn entry can override it
+ * hold_y:  how far down the screen the boss stops to fight
+ * points:  score for the kill, multiplied by the combo like any other kill
+ * bonus:   score for beating it, on top of the kill and never multiplied
+ * phases:  [{
+ *   at:       share of the boss's health left when the phase starts, 1 for the first phase
+ *   movement: a key of boss_movements
+ *   speed:    pixels per update the movement moves at
+ *   attack:   [String] attack patterns to take turns with
+ * }]
+ */
+const boss_definitions = {
+	// the boss of the endless script, a spawn entry of type boss gets this one
+	boss: {
+		name: 'Warden', sprite: 'boss', width: 25, height: 40, health: 1000, speed: 1, hold_y: 90, points: 1000, bonus: 1500,
+		phases: [
+			{at: 1, movement: 'hover', speed: 1, attack: ['spread']},
+			{at: .6, movement: 'sweep', speed: 1.5, attack: ['spread', 'burst']},
+			{at: .25, movement: 'charge', speed: 2.5, attack: ['burst', 'rain']}
+		]
+	},
+	mothership: {
+		name: 'Mothership', sprite: 'boss', width: 50, height: 60, health: 20000, speed: .8, hold_y: 100, points: 2500, bonus: 4000,
+		phases: [
+			{at: 1, movement: 'sweep', speed: 1, attack: ['rain', 'aimed']},
+			{at: .7, movement: 'hover', speed: 1.5, attack: ['spread', 'rain']},
+			{at: .4, movement: 'sweep', speed: 2.5, attack: ['burst', 'spread']},
+			{at: .15, movement: 'charge', speed: 3, attack: ['burst', 'spread', 'rain']}
+		]
+	}
+};
+
+/**
+ * How a boss moves during a phase, by name. Each one picks a point to head for every update and
+ * lets the boss fly there at the speed of the phase, so switching phases never makes it jump.
+ */
+const boss_movements = {
+	// hang over the middle of the screen, drifting a little from side to side
+	hover: (boss) => ({
+		x: config.canvas_size.width / 2 + Math.sin(boss.phase_time) * 40,
+		y: boss.hold_y
+	}),
+	// sweep from one side of the screen to the other and back
+	sweep: (boss) => {
+		const margin = boss.half_size.width + 10;
+		const x = boss.sweep_direction > 0 ? config.canvas_size.width - margin : margin;
+		if (Math.abs(boss.position.x - x) < 1) {
+			boss.sweep_direction *= -1;
+		}
+		return {x: x, y: boss.hold_y};
+	},
+	// shadow the closest player and lunge down at them every few seconds
+	charge: (boss) => {
+		const player = boss.world.nearestPlayer(boss.position);
+		return {
+			x: player != null ? player.position.x : boss.position.x,
+			y: boss.hold_y + Math.max(0, Math.sin(boss.phase_time * 1.5)) * 150
+		};
+	}
+};
+
+
+/**
+ * Represents a boss enemy body, played out of an entry of boss_definitions. It flies in from the
+ * top, stops at its hold_y and moves and shoots the way its current phase says until destroyed.
+ *
+ * @author Cory
+ * @typedef BossEnemy
+ */
+class BossEnemy extends Body {
+	/** @type {Enemy_Gun} Fires the attacks of the current phase, null until the boss is in place */
+	gun = null;
+
+	/** @type {Boolean} true once the boss has flown in and started to fight */
+	entered = false;
+
+	/** @type {Number} Index of the phase being fought */
+	phase_index = 0;
+
+	/** @type {Number} Seconds since the current phase started */
+	phase_time = 0;
+
+	/** @type {Number} 1 while sweeping to the right, -1 while sweeping to the left */
+	sweep_direction = 1;
+
+	/** @type {String} The key of boss_definitions, or of the level script's bosses, it was spawned as */
+	type = null;
+
+	/** @type {Boolean} true once a player destroyed it */
+	destroyed = false;
+
+	/**
+	 * Creates a new boss out of its definition.
+	 *
+	 * @param {World} world The world the boss lives in
+	 * @param {Object} definition How the boss looks and fights, see boss_definitions
+	 * @param {Number} [speed] Pixels per update to fly in at, the speed of the definition when left out
+	 * @param {Number} [x] Where to spawn, a random x when left out
+	 * @param {Number} [y] Where to spawn, just above the canvas when left out
+	 * @param {Object<String, Object>} [attacks] The attack patterns the phases name
+	 */
+	constructor(world, definition, speed = definition.speed, x, y = -50, attacks = attack_patterns) {
+		super(world);
+
+		this.definition = definition;
+		this.attacks = attacks;
+		this.speed = speed;
+		// enemies spawn above canvos at a random x unless told otherwise
+		this.position = {
+			x: x !== undefined ? x : this.world.random.next()*config.canvas_size.width,
+			y: y
+		};
+		this.size = {
+			width: definition.width,
+			height: definition.height
+		};
+		this.max_health = definition.health;
+		this.health = definition.health;
+		this.points = definition.points;
+	}
+
+	/** @type {String} Always boss */
+	get kind() {
+		return 'boss';
+	}
+
+	/**
+	 * Takes health away, but not before the boss has flown in and the fight has started.
+	 *
+	 * @param {Number} amount Health to take away
+	 */
+	takeDamage(amount) {
+		if (this.entered) {
+			super.takeDamage(amount);
+		}
+	}
+
+	/** @type {Object} The phase being fought, see boss_definitions */
+	get phase() {
+		return this.definition.phases[this.phase_index];
+	}
+
+	/** @type {Number} Where the boss stops to fight, never lower than its own height */
+	get hold_y() {
+		return Math.max(this.definition.hold_y, this.half_size.height);
+	}
+
+	/**
+	 * Moves on to the phases whose health threshold has been crossed, switching guns and giving
+	 * the screen a shake so the change is felt.
+	 */
+	checkPhase() {
+		const phases = this.definition.phases;
+		let index = this.phase_index;
+		while (index + 1 < phases.length && this.health <= phases[index + 1].at * this.max_health) {
+			index++;
+		}
+		if (index == this.phase_index && this.gun != null) {
+			return;
+		}
+		if (index != this.phase_index) {
+			this.world.camera.react('boss_phase');
+		}
+		this.phase_index = index;
+		this.phase_time = 0;
+		this.gun = this.phase.attack.length > 0 ? new Enemy_Gun(this, this.phase.attack.map(name => this.attacks[name])) : null;
+	}
+
+	/**
+	 * Flies toward a point, never faster than speed.
+	 *
+	 * @param {Object} target The point to head for
+	 * @param {Number} speed Pixels per update
+	 */
+	moveToward(target, speed) {
+		const dx = target.x - this.position.x;
+		const dy = target.y - this.position.y;
+		const distance = Math.hypot(dx, dy);
+		if (distance <= speed) {
+			this.position.x = target.x;
+			this.position.y = target.y;
+			return;
+		}
+		this.position.x += dx / distance * speed;
+		this.position.y += dy / distance * speed;
+	}
+
+	/**
+	 * Draws the boss enemy with a purple triangle around it.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Asset_Manager} assets The loaded sprites.
+	 */
+	draw(graphics, assets) {
+		assets.drawSprite(graphics, this.definition.sprite, this.position.x, this.position.y, this.size.width, this.size.height, this.age);
+
+		graphics.strokeStyle = '#9400D3';
+		graphics.beginPath();
+		graphics.moveTo(
+			this.position.x,
+			this.position.y + this.half_size.height
+		);
+		graphics.lineTo(
+			this.position.x + this.half_size.width,
+			this.position.y - this.half_size.height
+		);
+		graphics.lineTo(
+			this.position.x - this.half_size.width,
+			this.position.y - this.half_size.height
+		);
+		graphics.lineTo(
+			this.position.x,
+			this.position.y + this.half_size.height
+		);
+		graphics.stroke();
+		// draw velocity lines
+		super.draw(graphics, assets);
+	}
+
+	/**
+	 * Flies the boss in, then moves and shoots the way its phase says.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		if (!this.entered) {
+			this.position.y = Math.min(this.position.y + this.speed, this.hold_y);
+			this.entered = this.position.y >= this.hold_y;
+			super.update(delta_time);
+			return;
+		}
+
+		this.checkPhase();
+		this.phase_time += delta_time;
+		if (this.gun != null) {
+			this.gun.update(delta_time);
+		}
+		this.moveToward(boss_movements[this.phase.movement](this), this.phase.speed * this.world.director.scale('enemy_speed'));
+
+		// update position
+		super.update(delta_time);
+		// clip to screen
+		this.position.x = Math.min(Math.max(0, this.position.x), config.canvas_size.width);
+		this.position.y = Math.min(Math.max(0, this.position.y), config.canvas_size.height);
+	}
+}
+
+
+/**
+ * A short-lived body that only plays the explosion animation where something was destroyed. It
+ * never collides with anything and removes itself once the animation has played out.
+ *
+ * @typedef Explosion
+ */
+class Explosion extends Body {
+	/** @type {Number} Seconds the explosion lasts, matches the explosion sprite sheet */
+	duration = .5;
+
+	/**
+	 * @param {World} world The world the explosion happens in
+	 * @param {Number} x Center of the explosion
+	 * @param {Number} y Center of the explosion
+	 * @param {Number} size Width and height of the explosion
+	 */
+	constructor(world, x, y, size) {
+		super(world);
+
+		this.position = {
+			x: x,
+			y: y
+		};
+		this.size = {
+			width: size,
+			height: size
+		};
+	}
+
+	/**
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Asset_Manager} assets The loaded sprites.
+	 */
+	draw(graphics, assets) {
+		assets.drawSprite(graphics, 'explosion', this.position.x, this.position.y, this.size.width, this.size.height, this.age);
+	}
+
+	/**
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		super.update(delta_time);
+		if (this.age >= this.duration) {
+			this.remove();
+		}
+	}
+}
+
+/**
+ * Points floating up from where they were earned, fading out as they go. Like an explosion it
+ * never collides with anything and removes itself when it is done.
+ *
+ * @typedef Score_Popup
+ */
+class Score_Popup extends Body {
+	/**
+	 * @param {World} world The world the points were earned in
+	 * @param {Number} x Where the text starts
+	 * @param {Number} y Where the text starts
+	 * @param {String} text What to show
+	 */
+	constructor(world, x, y, text) {
+		super(world);
+
+		this.text = text;
+		this.position = {
+			x: Math.min(Math.max(20, x), config.canvas_size.width - 20),
+			y: y
+		};
+		this.velocity = {
+			x: 0,
+			y: -config.scoring.popup.rise / config.scoring.popup.duration
+		};
+	}
+
+	/**
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Asset_Manager} assets The loaded sprites.
+	 */
+	draw(graphics, assets) {
+		graphics.globalAlpha = Math.max(0, 1 - this.age / config.scoring.popup.duration);
+		graphics.font = "10px Arial";
+		graphics.textAlign = "center";
+		graphics.fillStyle = '#FFD700';
+		graphics.fillText(this.text, this.position.x, this.position.y);
+		graphics.globalAlpha = 1;
+	}
+
+	/**
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		super.update(delta_time);
+		if (this.age >= config.scoring.popup.duration) {
+			this.remove();
+		}
+	}
+}
+
+/*
+------------------------------
+------ WEAPON SECTION --------
+------------------------------
+*/
+
+/**
+ * How enemies shoot. Every pattern fires volleys of shots:
+ *
+ * aim:            true to shoot at the player, false to shoot straight down
+ * shots:          bullets per volley
+ * spread:         angle in degrees the bullets of a volley are fanned out over
+ * burst:          volleys fired back to back before the cooldown starts
+ * burst_interval: seconds between the volleys of a burst
+ * cooldown:       seconds between bursts
+ * speed:          bullet speed in pixels per update
+ * damage:         health a bullet takes from the player
+ */
+const attack_patterns = {
+	aimed: {aim: true, shots: 1, spread: 0, burst: 1, burst_interval: 0, cooldown: 3, speed: 4, damage: 10},
+	spread: {aim: true, shots: 5, spread: 60, burst: 1, burst_interval: 0, cooldown: 2.5, speed: 3, damage: 15},
+	burst: {aim: true, shots: 1, spread: 0, burst: 4, burst_interval: .12, cooldown: 2, speed: 5, damage: 15},
+	rain: {aim: false, shots: 3, spread: 30, burst: 2, burst_interval: .2, cooldown: 3, speed: 3, damage: 10}
+};
+
+
+/**
+ * Fires the attack patterns of an enemy or boss. A gun with several patterns takes turns with
+ * them, one burst each, and every gun keeps its own cooldown.
+ *
+ * @typedef Enemy_Gun
+ */
+class Enemy_Gun {
+	/** @type {Number} Index of the pattern that fires next */
+	pattern_index = 0;
+
+	/** @type {Number} Volleys left in the burst being fired */
+	volleys_left = 0;
+
+	/** @type {Number} Seconds until the next volley of the burst */
+	time_to_volley = 0;
+
+	/**
+	 * @param {Body} body The enemy or boss holding the gun
+	 * @param {Array<Object>} patterns The attack patterns to take turns with
+	 */
+	constructor(body, patterns) {
+		this.body = body;
+		this.patterns = patterns;
+
+		// stagger the first burst so a whole wave doesn't open fire on the same update
+		this.cooldown = body.world.random.range(.5, 1) * this.pattern.cooldown / body.world.director.scale('fire_rate');
+	}
+
+	/** @type {Object} The pattern being fired or waited on */
+	get pattern() {
+		return this.patterns[this.pattern_index];
+	}
+
+	/**
+	 * @returns {Boolean} true if the body is on screen and still above the closest player
+	 */
+	canFire() {
+		const position = this.body.position;
+		const player = this.body.world.nearestPlayer(position);
+		return position.y > 0 &&
+			position.x >= 0 && position.x <= config.canvas_size.width &&
+			player != null && position.y < player.position.y;
+	}
+
+	/**
+	 * Counts down the cooldown and fires the bursts.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		if (this.volleys_left == 0) {
+			this.cooldown -= delta_time;
+			if (this.cooldown > 0 || !this.canFire()) {
+				return;
+			}
+			this.volleys_left = this.pattern.burst;
+			this.time_to_volley = 0;
+		}
+
+		this.time_to_volley -= delta_time;
+		if (this.time_to_volley > 0) {
+			return;
+		}
+
+		this.volley();
+		this.volleys_left--;
+		this.time_to_volley = this.pattern.burst_interval;
+
+		// the burst is done, rest and move on to the next pattern
+		if (this.volleys_left == 0) {
+			this.cooldown = this.pattern.cooldown / this.body.world.director.scale('fire_rate');
+			this.pattern_index = (this.pattern_index + 1) % this.patterns.length;
+		}
+	}
+
+	/**
+	 * Fires one volley of the current pattern.
+	 */
+	volley() {
+		const body = this.body;
+		const pattern = this.pattern;
+		const player = body.world.nearestPlayer(body.position);
+		const x = body.position.x;
+		const y = body.position.y + body.half_size.height;
+
+		let angle = Math.PI / 2;
+		if (pattern.aim && player != null) {
+			angle = Math.atan2(player.position.y - y, player.position.x - x);
+		}
+
+		const spread = pattern.spread * Math.PI / 180;
+		for (let i = 0; i < pattern.shots; i++) {
+			const offset = pattern.shots > 1 ? spread * (i / (pattern.shots - 1) - .5) : 0;
+			new Projectile(body.world, x, y, {
+				owner: body,
+				faction: 'enemy',
+				direction: {x: Math.cos(angle + offset), y: Math.sin(angle + offset)},
+				speed: pattern.speed,
+				damage: pattern.damage
+			});
+		}
+	}
+}
+
+/**
+ * Where the shots of each projectile pattern leave the ship. Every shot is {x, angle}: x is the
+ * offset from the middle of the ship in pixels, angle is in degrees away from straight up.
+ */
+const projectile_patterns = {
+	single: () => [{x: 0, angle: 0}],
+	twin: () => [{x: -6, angle: 0}, {x: 6, angle: 0}],
+	spread: (weapon) => {
+		const shots = [];
+		for (let i = 0; i < weapon.shots; i++) {
+			shots.push({x: 0, angle: weapon.spread * (i / (weapon.shots - 1) - .5)});
+		}
+		return shots;
+	},
+	laser: () => [{x: 0, angle: 0}],
+	homing: () => [{x: -8, angle: -25}, {x: 8, angle: 25}]
+};
+
+/**
+ * The guns the player can hold.
+ *
+ * name:           shown on screen
+ * pattern:        a key of projectile_patterns
+ * fire_interval:  seconds between shots
+ * damage:         health each projectile takes
+ * speed:          projectile speed in pixels per update
+ * sprite:         projectile sprite, see sprite_manifest
+ * size:           projectile {width, height}
+ * pierce:         true if projectiles go through what they hit
+ * homing:         radians per update projectiles turn toward enemies
+ * shots, spread:  shot count and fan angle in degrees for the spread pattern
+ * heat:           {per_shot, max, cool_rate} overheats at max and can't fire until fully cooled
+ * ammo:           shots before the weapon is empty, leave out for unlimited
+ */
+const player_weapons = {
+	twin: {
+		name: 'Twin Cannon', pattern: 'twin', fire_interval: .1, damage: 100, speed: 10,
+		sprite: 'projectile', size: {width: 8, height: 16}
+	},
+	spread: {
+		name: 'Spread Gun', pattern: 'spread', fire_interval: .2, damage: 60, speed: 9,
+		sprite: 'projectile', size: {width: 8, height: 16}, shots: 5, spread: 40
+	},
+	laser: {
+		name: 'Laser', pattern: 'laser', fire_interval: .15, damage: 80, speed: 14,
+		sprite: 'laser', size: {width: 6, height: 36}, pierce: true,
+		heat: {per_shot: 15, max: 100, cool_rate: 45}
+	},
+	homing: {
+		name: 'Homing Missiles', pattern: 'homing', fire_interval: .35, damage: 150, speed: 6,
+		sprite: 'missile', size: {width: 8, height: 16}, homing: .12, ammo: 40
+	}
+};
+
+/** @type {Array<String>} The weapons every player starts with, in cycling order */
+const player_loadout = ['twin', 'spread', 'laser', 'homing'];
+
+
+/**
+ * A weapon held by the player: a definition from player_weapons plus its cooldown, heat and ammo.
+ *
+ * @typedef Weapon
+ */
+class Weapon {
+	/** @type {Number} Seconds since the last shot */
+	time_since_fired = 0;
+
+	/** @type {Number} Current heat, only used by weapons with heat */
+	heat = 0;
+
+	/** @type {Boolean} true from reaching max heat until the weapon has fully cooled */
+	overheated = false;
+
+	/**
+	 * @param {Object} definition An entry of player_weapons
+	 */
+	constructor(definition) {
+		this.definition = definition;
+
+		/** @type {Number} Shots left, null for unlimited */
+		this.ammo = definition.ammo !== undefined ? definition.ammo : null;
+	}
+
+	/** @type {String} Name of the weapon */
+	get name() {
+		return this.definition.name;
+	}
+
+	/**
+	 * @returns {Boolean} true if the weapon has run out of ammo
+	 */
+	isEmpty() {
+		return this.ammo === 0;
+	}
+
+	/**
+	 * @param {Number} [interval_scale] Multiplies the time between shots, rapid fire halves it
+	 * @returns {Boolean} true if the weapon can fire right now
+	 */
+	canFire(interval_scale = 1) {
+		return !this.overheated && !this.isEmpty() &&
+			this.time_since_fired >= this.definition.fire_interval * interval_scale;
+	}
+
+	/**
+	 * Counts the cooldown and lets heat bleed off, even while the weapon is not held.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		this.time_since_fired += delta_time;
+
+		const heat = this.definition.heat;
+		if (heat !== undefined) {
+			this.heat = Math.max(0, this.heat - heat.cool_rate * delta_time);
+			if (this.heat == 0) {
+				this.overheated = false;
+			}
+		}
+	}
+
+	/**
+	 * Fires one volley from the shooter's position.
+	 *
+	 * @param {Body} shooter The body firing the weapon
+	 * @param {Number} [extra_pairs] Extra pairs of shots to fan out around the volley
+	 */
+	fire(shooter, extra_pairs = 0) {
+		const definition = this.definition;
+		this.time_since_fired = 0;
+
+		const heat = definition.heat;
+		if (heat !== undefined) {
+			this.heat += heat.per_shot;
+			if (this.heat >= heat.max) {
+				this.heat = heat.max;
+				this.overheated = true;
+			}
+		}
+		if (this.ammo !== null) {
+			this.ammo--;
+		}
+
+		const shots = projectile_patterns[definition.pattern](definition);
+		for (let i = 1; i <= extra_pairs; i++) {
+			shots.push({x: 0, angle: -i * 10}, {x: 0, angle: i * 10});
+		}
+
+		shots.forEach(shot => {
+			const angle = shot.angle * Math.PI / 180;
+			new Projectile(shooter.world, shooter.position.x + shot.x, shooter.position.y, {
+				owner: shooter,
+				direction: {x: Math.sin(angle), y: -Math.cos(angle)},
+				speed: definition.speed,
+				damage: definition.damage,
+				sprite: definition.sprite,
+				size: definition.size,
+				pierce: definition.pierce || false,
+				homing: definition.homing || 0
+			});
+		});
+	}
+}
+
+/*
+------------------------------
+----- POWER UP SECTION -------
+------------------------------
+*/
+
+/**
+ * Everything a power-up can do. Drop rates live in config.power_ups.
+ *
+ * label:        letter drawn on the power-up
+ * color:        color of the power-up and its timer
+ * duration:     seconds the buff lasts, 0 for one that lasts until it is used up
+ * heal:         health given back right away instead of a buff
+ * stacking:     what picking it up again does while it is still active:
+ *               refresh starts the timer over, extend adds the duration on top (up to
+ *               max_duration), level starts the timer over and powers it up (up to max_level)
+ */
+const power_up_types = {
+	spread_shot: {label: 'S', color: '#FF8C00', duration: 10, stacking: 'level', max_level: 3},
+	rapid_fire: {label: 'R', color: '#FFD700', duration: 8, stacking: 'extend', max_duration: 20},
+	shield: {label: 'D', color: '#00BFFF', duration: 0, stacking: 'refresh'},
+	health: {label: '+', color: '#32CD32', heal: 50}
+};
+
+
+/**
+ * A power-up dropped by a destroyed enemy. It drifts down the screen until the player touches it
+ * or it falls off the bottom.
+ *
+ * @typedef Power_Up
+ */
+class Power_Up extends Body {
+	/**
+	 * @param {World} world The world the power-up is dropped in
+	 * @param {Number} x Where it was dropped
+	 * @param {Number} y Where it was dropped
+	 * @param {String} type A key of power_up_types
+	 */
+	constructor(world, x, y, type) {
+		super(world);
+
+		this.type = type;
+		this.position = {
+			x: x,
+			y: y
+		};
+		this.size = {
+			width: 14,
+			height: 14
+		};
+	}
+
+	/** @type {String} Always power_up */
+	get kind() {
+		return 'power_up';
+	}
+
+	/**
+	 * Draws the power-up as a colored ball with its letter on it.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Asset_Manager} assets The loaded sprites.
+	 */
+	draw(graphics, assets) {
+		const type = power_up_types[this.type];
+
+		graphics.fillStyle = type.color;
+		graphics.beginPath();
+		graphics.arc(this.position.x, this.position.y, this.half_size.width, 0, 2 * Math.PI);
+		graphics.fill();
+
+		graphics.fillStyle = '#000000';
+		graphics.font = "10px Arial";
+		graphics.textAlign = "center";
+		graphics.fillText(type.label, this.position.x, this.position.y + 3);
+	}
+
+	/**
+	 * Drifts down, swaying a little so it is easier to spot.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		this.position.y += config.power_ups.fall_speed;
+		this.position.x += Math.sin(this.age * 4) * .5;
+		if (this.position.y > config.canvas_size.height + this.size.height) {
+			this.remove();
+		}
+
+		super.update(delta_time);
+	}
+}
+
+
+/**
+ * Rolls the dice for a power-up where a body was destroyed, using the drop chances and weights in
+ * config.power_ups.
+ *
+ * @param {World} world The world the body was destroyed in
+ * @param {Body} body The destroyed enemy or boss
+ * @returns {Power_Up} The dropped power-up, or null if nothing dropped
+ */
+function dropPowerUp(world, body) {
+	const settings = config.power_ups;
+	const chance = settings.drop_chance[body.kind] || 0;
+	if (chance <= 0 || world.random.next() >= chance) {
+		return null;
+	}
+
+	const names = Object.keys(settings.weights).filter(name => settings.weights[name] > 0);
+	const total = names.reduce((sum, name) => sum + settings.weights[name], 0);
+	let roll = world.random.next() * total;
+	for (const name of names) {
+		roll -= settings.weights[name];
+		if (roll < 0) {
+			return new Power_Up(world, body.position.x, body.position.y, name);
+		}
+	}
+	return null;
+}
+
+/*
+------------------------------
+------- PATH SECTION  --------
+------------------------------
+*/
+
+/**
+ * The flight paths enemies can fly, as spline control points. New patterns only need a new entry
+ * here (or in a level script), never a new class.
+ *
+ * Entry paths are in screen coordinates and end wherever the enemy's formation slot is.
+ *
+ * Dive paths are relative to where the dive starts. Every point is [x, y, aim]: x and y are pixel
+ * offsets, with x flipped so positive x points toward the player, and aim is how much of the
+ * horizontal distance to the player is added on top (0 ignores the player, 1 ends up above them).
+ * Dives should end below the screen, the enemy then loops back in from the top.
+ */
+const flight_paths = {
+	// sweeps in from the top left corner and curls up into the formation
+	swoop: {
+		type: 'entry',
+		points: [[-20, -20], [60, 120], [150, 260], [230, 230], [220, 140]]
+	},
+	// drops in from the top, runs a full loop in the middle of the screen and rises to its slot
+	loop: {
+		type: 'entry',
+		points: [[110, -20], [110, 160], [160, 270], [220, 200], [160, 130], [110, 200], [150, 150]]
+	},
+	// comes in low from the left edge and climbs across the screen
+	side_sweep: {
+		type: 'entry',
+		points: [[-20, 320], [90, 290], [200, 230], [250, 140]]
+	},
+	// rolls away from the player, then plunges through them and off the bottom
+	dive: {
+		type: 'dive',
+		points: [[0, 0, 0], [-20, -25, 0], [-35, 5, 0], [0, 150, .5], [0, 330, 1], [0, 560, 1]]
+	},
+	// a wider dive that swings back and forth on the way down
+	zigzag: {
+		type: 'dive',
+		points: [[0, 0, 0], [-25, -20, 0], [30, 120, .3], [-30, 240, .6], [30, 360, 1], [0, 560, 1]]
+	}
+};
+
+/** @type {Number} Straight line segments used to measure each section of a spline */
+const SPLINE_STEPS = 16;
+
+/**
+ * A Catmull-Rom spline through a list of points. The curve passes through every point and can
+ * be walked at a steady speed with pointAt(), which works on distance along the curve instead of
+ * the raw spline parameter.
+ *
+ * @typedef Spline_Path
+ */
+class Spline_Path {
+	/**
+	 * @param {Array<Object>} points At least two {x, y} points for the curve to pass through
+	 */
+	constructor(points) {
+		this.points = points;
+
+		// measure the curve once so pointAt() can turn distance into a spline parameter
+		this.samples = [{distance: 0, segment: 0, t: 0}];
+		let previous = points[0];
+		let distance = 0;
+		for (let segment = 0; segment < points.length - 1; segment++) {
+			for (let step = 1; step <= SPLINE_STEPS; step++) {
+				const t = step / SPLINE_STEPS;
+				const point = this.sample(segment, t);
+				distance += Math.hypot(point.x - previous.x, point.y - previous.y);
+				this.samples.push({distance: distance, segment: segment, t: t});
+				previous = point;
+			}
+		}
+
+		/** @type {Number} Length of the whole curve in pixels */
+		this.length = distance;
+	}
+
+	/**
+	 * @param {Number} segment Which pair of points to interpolate between
+	 * @param {Number} t How far between them, 0 to 1
+	 * @returns {Object} The {x, y} point on the curve
+	 */
+	sample(segment, t) {
+		const points = this.points;
+		const p0 = points[Math.max(segment - 1, 0)];
+		const p1 = points[segment];
+		const p2 = points[segment + 1];
+		const p3 = points[Math.min(segment + 2, points.length - 1)];
+		const t2 = t * t;
+		const t3 = t2 * t;
+		const blend = (a, b, c, d) => .5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+
+		return {
+			x: blend(p0.x, p1.x, p2.x, p3.x),
+			y: blend(p0.y, p1.y, p2.y, p3.y)
+		};
+	}
+
+	/**
+	 * @param {Number} distance Pixels travelled along the curve, clamped to the ends
+	 * @returns {Object} The {x, y} point that far along the curve
+	 */
+	pointAt(distance) {
+		const samples = this.samples;
+		if (distance <= 0) {
+			return this.sample(0, 0);
+		}
+		if (distance >= this.length) {
+			return this.sample(this.points.length - 2, 1);
+		}
+
+		// binary search for the first sample past the distance
+		let low = 1;
+		let high = samples.length - 1;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (samples[middle].distance < distance) {
+				low = middle + 1;
+			} else {
+				high = middle;
+			}
+		}
+
+		const after = samples[low];
+		const before = samples[low - 1];
+		const fraction = (distance - before.distance) / (after.distance - before.distance);
+		const start_t = before.segment == after.segment ? before.t : 0;
+		return this.sample(after.segment, start_t + (after.t - start_t) * fraction);
+	}
+}
+
+
+/**
+ * A grid of slots at the top of the screen that enemies settle into. The whole grid sways from
+ * side to side, and every so often one of the settled enemies is sent on a dive.
+ *
+ * @typedef Formation
+ */
+class Formation {
+	/** @type {Number} Seconds the formation has existed, drives the sway */
+	time = 0;
+
+	/** @type {Number} Seconds since the last dive was started */
+	time_since_dive = 0;
+
+	/**
+	 * @param {World} world The world the formation lives in
+	 * @param {Object} [options] The grid settings of a level script
+	 * @param {Object} [paths] Flight paths to use on top of flight_paths, by name
+	 */
+	constructor(world, options = {}, paths = {}) {
+		this.world = world;
+		this.paths = Object.assign({}, flight_paths, paths);
+		this.rows = options.rows || 4;
+		this.columns = options.columns || 8;
+		this.spacing_x = options.spacing_x || 28;
+		this.spacing_y = options.spacing_y || 26;
+		this.top = options.top !== undefined ? options.top : 60;
+		this.sway = options.sway !== undefined ? options.sway : 20;
+		this.sway_speed = options.sway_speed !== undefined ? options.sway_speed : 1;
+		this.dive_interval = options.dive_interval !== undefined ? options.dive_interval : 3;
+		this.dive_paths = options.dive_paths || ['dive', 'zigzag'];
+
+		/** @type {Array<Body>} The body holding each slot, row by row */
+		this.slots = new Array(this.rows * this.columns).fill(null);
+	}
+
+	/**
+	 * Hands out the first free slot.
+	 *
+	 * @param {Body} body The body that wants a slot
+	 * @returns {Number} The slot index, or -1 if the formation is full
+	 */
+	claim(body) {
+		const index = this.slots.indexOf(null);
+		if (index >= 0) {
+			this.slots[index] = body;
+		}
+		return index;
+	}
+
+	/**
+	 * @param {Number} index A slot index
+	 * @returns {Object} The {x, y} position of the slot right now, sway included
+	 */
+	slotPosition(index) {
+		const row = Math.floor(index / this.columns);
+		const column = index % this.columns;
+		return {
+			x: config.canvas_size.width / 2 + (column - (this.columns - 1) / 2) * this.spacing_x + Math.sin(this.time * this.sway_speed) * this.sway,
+			y: this.top + row * this.spacing_y
+		};
+	}
+
+	/**
+	 * Sways the grid, frees the slots of anything that died and starts dives.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		this.time += delta_time;
+
+		this.slots.forEach((body, index) => {
+			if (body != null && this.world.entities[body.id] !== body) {
+				this.slots[index] = null;
+			}
+		});
+
+		this.time_since_dive += delta_time;
+		if (this.dive_interval > 0 && this.time_since_dive >= this.dive_interval) {
+			const settled = this.slots.filter(body => body != null && body.flight.mode == 'in_formation');
+			if (settled.length > 0 && this.world.livingPlayers().length > 0) {
+				this.time_since_dive = 0;
+				const diver = settled[Math.floor(this.world.random.next() * settled.length)];
+				const path = this.dive_paths[Math.floor(this.world.random.next() * this.dive_paths.length)];
+				diver.flight.dive(this.paths[path]);
+			}
+		}
+	}
+}
+
+
+/**
+ * Steers one body through the Galaga routine: fly in along an entry path, settle into a formation
+ * slot, dive at the player when the formation says so, and loop back in from the top.
+ *
+ * Speeds are in pixels per update, the same as the straight falling enemies.
+ *
+ * @typedef Flight
+ */
+class Flight {
+	/** @type {String} entering, joining, in_formation or diving */
+	mode = 'entering';
+
+	/** @type {Spline_Path} The path being flown, null while joining or in formation */
+	path = null;
+
+	/** @type {Number} Pixels flown along the current path */
+	distance = 0;
+
+	/** @type {Number} How much faster than its normal speed a body dives */
+	dive_speed_scale = 1.5;
+
+	/**
+	 * @param {Body} body The enemy or boss to steer, its speed is used for every path
+	 * @param {Formation} formation The formation to join
+	 * @param {Object} entry An entry path from flight_paths
+	 * @param {Boolean} [mirror] Flip the entry path from left to right
+	 */
+	constructor(body, formation, entry, mirror = false) {
+		this.body = body;
+		this.formation = formation;
+		this.slot = formation.claim(body);
+
+		const width = config.canvas_size.width;
+		this.path = new Spline_Path(entry.points.map(point => ({
+			x: mirror ? width - point[0] : point[0],
+			y: point[1]
+		})));
+		this.body.position = this.path.pointAt(0);
+	}
+
+	/**
+	 * Sends the body on a dive at the closest player.
+	 *
+	 * @param {Object} dive A dive path from flight_paths
+	 */
+	dive(dive) {
+		const start = {x: this.body.position.x, y: this.body.position.y};
+		const player = this.body.world.nearestPlayer(start);
+		const to_player = player != null ? player.position.x - start.x : 0;
+		const side = to_player < 0 ? -1 : 1;
+
+		this.mode = 'diving';
+		this.distance = 0;
+		this.path = new Spline_Path(dive.points.map(point => ({
+			x: start.x + point[0] * side + point[2] * to_player,
+			y: start.y + point[1]
+		})));
+	}
+
+	/**
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		const body = this.body;
+
+		if (this.mode == 'entering' || this.mode == 'diving') {
+			const speed = this.mode == 'diving' ? body.speed * this.dive_speed_scale : body.speed;
+			this.distance += speed;
+			body.position = this.path.pointAt(this.distance);
+			if (this.distance < this.path.length) {
+				return;
+			}
+
+			// without a slot there is nothing to come back to, so dive and leave for good
+			if (this.slot < 0) {
+				if (this.mode == 'entering') {
+					this.dive(this.formation.paths[this.formation.dive_paths[0]]);
+				} else {
+					body.remove();
+				}
+				return;
+			}
+
+			// a finished dive leaves the body below the screen, wrap it around to the top
+			if (this.mode == 'diving') {
+				body.position = {x: this.formation.slotPosition(this.slot).x, y: -20};
+			}
+			this.mode = 'joining';
+			this.path = null;
+		}
+
+		const slot = this.formation.slotPosition(this.slot);
+		if (this.mode == 'joining') {
+			const dx = slot.x - body.position.x;
+			const dy = slot.y - body.position.y;
+			const distance = Math.hypot(dx, dy);
+			// the slot keeps swaying, so chase it until we are close enough to snap in
+			if (distance > body.speed) {
+				body.position.x += dx / distance * body.speed;
+				body.position.y += dy / distance * body.speed;
+				return;
+			}
+			this.mode = 'in_formation';
+		}
+
+		body.position.x = slot.x;
+		body.position.y = slot.y;
+	}
+}
+
+/*
+------------------------------
+------- LEVEL SECTION --------
+------------------------------
+*/
+
+/**
+ * The kinds of regular enemies a level script can spawn. Each entry knows the default speed, points
+ * and attack patterns of the enemy and how to build one. Bosses are spawned out of boss_definitions
+ * instead. The spawner reports every spawn with an enemySpawned event.
+ */
+const enemy_types = {
+	enemy: {
+		speed: 2,
+		points: 100,
+		attack: ['aimed'],
+		create: (world, speed, x, y) => new Enemy(world, speed, x, y)
+	}
+};
+
+/** @type {Array<String>} How the bodies of a single spawn entry are laid out */
+const spawn_formations = ['single', 'line', 'v'];
+
+/**
+ * Level scripts that ship with the game. A level script is plain JSON:
+ *
+ * {
+ *   name: String,
+ *   repeat: Boolean,          start over at the first level after the last one (default false),
+ *                             needs a wave that waits for clear or a spawn with a delay
+ *   lanes: Number,            how many lanes the width of the screen is split into (default 5)
+ *   grid: {                   the formation that enemies with a path settle into
+ *     rows: Number, columns: Number, spacing_x: Number, spacing_y: Number, top: Number,
+ *     sway: Number,             how far the grid sways to each side in pixels
+ *     sway_speed: Number,       how fast it sways
+ *     dive_interval: Number,    seconds between dives, 0 turns diving off
+ *     dive_paths: [String]      dive paths from flight_paths to pick from
+ *   },
+ *   paths: {String: Object},  extra flight paths for this script, in the format of flight_paths
+ *   attacks: {String: Object}, extra attack patterns for this script, in the format of
+ *                             attack_patterns
+ *   bosses: {String: Object}, extra bosses for this script, in the format of boss_definitions
+ *   levels: [{
+ *     name: String,
+ *     dive_interval: Number,    overrides grid.dive_interval while this level is played
+ *     waves: [{
+ *       wait_for_clear: Boolean,   hold the next wave until this one is dead or gone (default true)
+ *       spawns: [{
+ *         type: String,            a key of enemy_types, or of boss_definitions for a boss
+ *                                  fight (bosses can't take a path or an attack)
+ *         count: Number,           how many to spawn (default 1)
+ *         speed: Number,           overrides the speed of the enemy type
+ *         delay: Number,           seconds to wait before each spawn (default 0)
+ *         x: Number,               spawn at this x ...
+ *         lane: Number,            ... or in the middle of this lane, random x when neither is set
+ *         formation: String,       single (one per delay), line or v (all at once) (default single)
+ *         path: String,            fly in along this entry path and join the grid (needs a grid)
+ *         mirror: Boolean,         fly the entry path flipped from left to right
+ *         attack: [String]         attack patterns to take turns with, [] for an enemy that
+ *                                  doesn't shoot (default: the attack of the enemy type)
+ *       }]
+ *     }]
+ *   }]
+ * }
+ */
+const level_scripts = {
+	// the original spawner: an enemy every .55 seconds and two bosses, one after the other, after
+	// every 10 enemies
+	endless: {
+		name: 'endless',
+		repeat: true,
+		levels: [{
+			name: 'Endless',
+			waves: [{
+				wait_for_clear: false,
+				spawns: [
+					{type: 'enemy', count: 10, speed: 2, delay: .55},
+					{type: 'boss', speed: 1, delay: .55},
+					{type: 'boss', speed: 2, delay: 0}
+				]
+			}]
+		}]
+	},
+	// closer to the arcade game: squads fly in, fill the grid and take turns diving at the player
+	galaga: {
+		name: 'galaga',
+		repeat: true,
+		grid: {rows: 4, columns: 8, dive_interval: 2.5},
+		levels: [{
+			name: 'Stage 1',
+			waves: [{
+				spawns: [
+					{type: 'enemy', count: 8, delay: .2, path: 'swoop'},
+					{type: 'enemy', count: 8, delay: .2, path: 'swoop', mirror: true}
+				]
+			}]
+		}, {
+			name: 'Stage 2',
+			dive_interval: 1.8,
+			waves: [{
+				wait_for_clear: false,
+				spawns: [
+					{type: 'enemy', count: 8, delay: .2, path: 'loop'},
+					{type: 'enemy', count: 8, delay: .2, path: 'loop', mirror: true}
+				]
+			}, {
+				spawns: [
+					{type: 'enemy', count: 6, delay: .25, speed: 3, path: 'side_sweep'}
+				]
+			}, {
+				spawns: [
+					{type: 'mothership', delay: 1}
+				]
+			}]
+		}]
+	}
+};
+
+/**
+ * Checks a level script and throws an Error saying exactly what is wrong with it, so a broken
+ * script is caught when it is loaded and not halfway through a level.
+ *
+ * @param {Object} script A parsed level script
+ * @returns {Object} The same script, for chaining
+ */
+function validateLevelScript(script) {
+	const fail = (path, problem) => {
+		throw new Error(`Level script: ${path} ${problem}`);
+	};
+	const isObject = (value) => value !== null && typeof value == 'object' && !Array.isArray(value);
+	const checkKeys = (value, path, allowed) => {
+		Object.keys(value).forEach(key => {
+			if (!allowed.includes(key)) {
+				fail(`${path}.${key}`, `is not a known field (expected one of ${allowed.join(', ')})`);
+			}
+		});
+	};
+	const checkNumber = (value, path, min, integer) => {
+		if (typeof value != 'number' || !isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+			fail(path, `must be ${integer ? 'an integer' : 'a number'} of at least ${min}, got ${JSON.stringify(value)}`);
+		}
+	};
+
+	if (!isObject(script)) {
+		fail('script', 'must be an object');
+	}
+	checkKeys(script, 'script', ['name', 'repeat', 'lanes', 'grid', 'paths', 'attacks', 'bosses', 'levels']);
+	if (script.name !== undefined && typeof script.name != 'string') {
+		fail('script.name', 'must be a string');
+	}
+	if (script.repeat !== undefined && typeof script.repeat != 'boolean') {
+		fail('script.repeat', 'must be true or false');
+	}
+	if (script.lanes !== undefined) {
+		checkNumber(script.lanes, 'script.lanes', 1, true);
+	}
+	const lanes = script.lanes || 5;
+
+	if (script.paths !== undefined) {
+		if (!isObject(script.paths)) {
+			fail('script.paths', 'must be an object of named flight paths');
+		}
+		Object.keys(script.paths).forEach(name => {
+			const path = script.paths[name];
+			const path_path = `paths.${name}`;
+			if (!isObject(path)) {
+				fail(path_path, 'must be an object');
+			}
+			checkKeys(path, path_path, ['type', 'points']);
+			if (path.type != 'entry' && path.type != 'dive') {
+				fail(`${path_path}.type`, `must be entry or dive, got ${JSON.stringify(path.type)}`);
+			}
+			const width = path.type == 'dive' ? 3 : 2;
+			if (!Array.isArray(path.points) || path.points.length < 2) {
+				fail(`${path_path}.points`, 'must be a list of at least two points');
+			}
+			path.points.forEach((point, point_index) => {
+				if (!Array.isArray(point) || point.length != width || !point.every(value => typeof value == 'number' && isFinite(value))) {
+					fail(`${path_path}.points[${point_index}]`, `must be a list of ${width} numbers`);
+				}
+			});
+		});
+	}
+	const pathOf = (name) => (script.paths && script.paths[name]) || flight_paths[name];
+
+	if (script.attacks !== undefined) {
+		if (!isObject(script.attacks)) {
+			fail('script.attacks', 'must be an object of named attack patterns');
+		}
+		Object.keys(script.attacks).forEach(name => {
+			const attack = script.attacks[name];
+			const attack_path = `attacks.${name}`;
+			if (!isObject(attack)) {
+				fail(attack_path, 'must be an object');
+			}
+			const fields = ['aim', 'shots', 'spread', 'burst', 'burst_interval', 'cooldown', 'speed', 'damage'];
+			checkKeys(attack, attack_path, fields);
+			fields.forEach(field => {
+				if (attack[field] === undefined) {
+					fail(`${attack_path}.${field}`, 'is missing');
+				}
+			});
+			if (typeof attack.aim != 'boolean') {
+				fail(`${attack_path}.aim`, 'must be true or false');
+			}
+			checkNumber(attack.shots, `${attack_path}.shots`, 1, true);
+			checkNumber(attack.burst, `${attack_path}.burst`, 1, true);
+			['spread', 'burst_interval', 'cooldown', 'speed', 'damage'].forEach(field => {
+				checkNumber(attack[field], `${attack_path}.${field}`, 0, false);
+			});
+		});
+	}
+	const attackOf = (name) => (script.attacks && script.attacks[name]) || attack_patterns[name];
+
+	if (script.bosses !== undefined) {
+		if (!isObject(script.bosses)) {
+			fail('script.bosses', 'must be an object of named bosses');
+		}
+		Object.keys(script.bosses).forEach(name => {
+			const boss = script.bosses[name];
+			const boss_path = `bosses.${name}`;
+			if (enemy_types.hasOwnProperty(name)) {
+				fail(boss_path, `can't share its name with the enemy type ${name}`);
+			}
+			if (!isObject(boss)) {
+				fail(boss_path, 'must be an object');
+			}
+			const fields = ['name', 'sprite', 'width', 'height', 'health', 'speed', 'hold_y', 'points', 'bonus', 'phases'];
+			checkKeys(boss, boss_path, fields);
+			fields.forEach(field => {
+				if (boss[field] === undefined) {
+					fail(`${boss_path}.${field}`, 'is missing');
+				}
+			});
+			['name', 'sprite'].forEach(field => {
+				if (typeof boss[field] != 'string') {
+					fail(`${boss_path}.${field}`, 'must be a string');
+				}
+			});
+			checkNumber(boss.health, `${boss_path}.health`, 1, false);
+			['width', 'height', 'speed', 'hold_y', 'points', 'bonus'].forEach(field => {
+				checkNumber(boss[field], `${boss_path}.${field}`, 0, false);
+			});
+			if (!Array.isArray(boss.phases) || boss.phases.length == 0) {
+				fail(`${boss_path}.phases`, 'must be a list with at least one phase');
+			}
+			boss.phases.forEach((phase, phase_index) => {
+				const phase_path = `${boss_path}.phases[${phase_index}]`;
+				if (!isObject(phase)) {
+					fail(phase_path, 'must be an object');
+				}
+				checkKeys(phase, phase_path, ['at', 'movement', 'speed', 'attack']);
+				checkNumber(phase.at, `${phase_path}.at`, 0, false);
+				if (phase_index == 0 && phase.at != 1) {
+					fail(`${phase_path}.at`, 'must be 1, the first phase starts at full health');
+				}
+				if (phase_index > 0 && phase.at >= boss.phases[phase_index - 1].at) {
+					fail(`${phase_path}.at`, 'must be less than the at of the phase before it');
+				}
+				if (!boss_movements.hasOwnProperty(phase.movement)) {
+					fail(`${phase_path}.movement`, `must be one of ${Object.keys(boss_movements).join(', ')}, got ${JSON.stringify(phase.movement)}`);
+				}
+				checkNumber(phase.speed, `${phase_path}.speed`, 0, false);
+				if (!Array.isArray(phase.attack)) {
+					fail(`${phase_path}.attack`, 'must be a list of attack pattern names');
+				}
+				phase.attack.forEach((attack, index) => {
+					if (attackOf(attack) == null) {
+						fail(`${phase_path}.attack[${index}]`, `must name an attack pattern, got ${JSON.stringify(attack)}`);
+					}
+				});
+			});
+		});
+	}
+	const bossOf = (name) => {
+		if (script.bosses !== undefined && script.bosses.hasOwnProperty(name)) {
+			return script.bosses[name];
+		}
+		return boss_definitions.hasOwnProperty(name) ? boss_definitions[name] : null;
+	};
+
+	if (script.grid !== undefined) {
+		if (!isObject(script.grid)) {
+			fail('script.grid', 'must be an object');
+		}
+		checkKeys(script.grid, 'grid', ['rows', 'columns', 'spacing_x', 'spacing_y', 'top', 'sway', 'sway_speed', 'dive_interval', 'dive_paths']);
+		['rows', 'columns'].forEach(key => {
+			if (script.grid[key] !== undefined) {
+				checkNumber(script.grid[key], `grid.${key}`, 1, true);
+			}
+		});
+		['spacing_x', 'spacing_y', 'top', 'sway', 'sway_speed', 'dive_interval'].forEach(key => {
+			if (script.grid[key] !== undefined) {
+				checkNumber(script.grid[key], `grid.${key}`, 0, false);
+			}
+		});
+		if (script.grid.dive_paths !== undefined) {
+			if (!Array.isArray(script.grid.dive_paths) || script.grid.dive_paths.length == 0) {
+				fail('grid.dive_paths', 'must be a list with at least one path name');
+			}
+			script.grid.dive_paths.forEach((name, index) => {
+				const path = pathOf(name);
+				if (path == null || path.type != 'dive') {
+					fail(`grid.dive_paths[${index}]`, `must name a dive path, got ${JSON.stringify(name)}`);
+				}
+			});
+		}
+	}
+
+	if (!Array.isArray(script.levels) || script.levels.length == 0) {
+		fail('script.levels', 'must be a list with at least one level');
+	}
+
+	script.levels.forEach((level, level_index) => {
+		const level_path = `levels[${level_index}]`;
+		if (!isObject(level)) {
+			fail(level_path, 'must be an object');
+		}
+		checkKeys(level, level_path, ['name', 'dive_interval', 'waves']);
+		if (level.name !== undefined && typeof level.name != 'string') {
+			fail(`${level_path}.name`, 'must be a string');
+		}
+		if (level.dive_interval !== undefined) {
+			checkNumber(level.dive_interval, `${level_path}.dive_interval`, 0, false);
+		}
+		if (!Array.isArray(level.waves) || level.waves.length == 0) {
+			fail(`${level_path}.waves`, 'must be a list with at least one wave');
+		}
+
+		level.waves.forEach((wave, wave_index) => {
+			const wave_path = `${level_path}.waves[${wave_index}]`;
+			if (!isObject(wave)) {
+				fail(wave_path, 'must be an object');
+			}
+			checkKeys(wave, wave_path, ['wait_for_clear', 'spawns']);
+			if (wave.wait_for_clear !== undefined && typeof wave.wait_for_clear != 'boolean') {
+				fail(`${wave_path}.wait_for_clear`, 'must be true or false');
+			}
+			if (!Array.isArray(wave.spawns) || wave.spawns.length == 0) {
+				fail(`${wave_path}.spawns`, 'must be a list with at least one spawn');
+			}
+
+			wave.spawns.forEach((spawn, spawn_index) => {
+				const path = `${wave_path}.spawns[${spawn_index}]`;
+				if (!isObject(spawn)) {
+					fail(path, 'must be an object');
+				}
+				checkKeys(spawn, path, ['type', 'count', 'speed', 'delay', 'x', 'lane', 'formation', 'path', 'mirror', 'attack']);
+				const boss = enemy_types.hasOwnProperty(spawn.type) ? null : bossOf(spawn.type);
+				if (!enemy_types.hasOwnProperty(spawn.type) && boss == null) {
+					const types = Object.keys(enemy_types).concat(Object.keys(boss_definitions), Object.keys(script.bosses || {}));
+					fail(`${path}.type`, `must be one of ${types.join(', ')}, got ${JSON.stringify(spawn.type)}`);
+				}
+				if (boss != null && (spawn.path !== undefined || spawn.attack !== undefined)) {
+					fail(path, 'is a boss, it flies in on its own and takes its attacks from its phases');
+				}
+				if (spawn.count !== undefined) {
+					checkNumber(spawn.count, `${path}.count`, 1, true);
+				}
+				if (spawn.speed !== undefined) {
+					checkNumber(spawn.speed, `${path}.speed`, 0, false);
+				}
+				if (spawn.delay !== undefined) {
+					checkNumber(spawn.delay, `${path}.delay`, 0, false);
+				}
+				if (spawn.x !== undefined && spawn.lane !== undefined) {
+					fail(path, 'can set x or lane but not both');
+				}
+				if (spawn.x !== undefined) {
+					checkNumber(spawn.x, `${path}.x`, 0, false);
+					if (spawn.x > config.canvas_size.width) {
+						fail(`${path}.x`, `must be inside the screen (0 to ${config.canvas_size.width})`);
+					}
+				}
+				if (spawn.lane !== undefined) {
+					checkNumber(spawn.lane, `${path}.lane`, 0, true);
+					if (spawn.lane >= lanes) {
+						fail(`${path}.lane`, `must be less than the ${lanes} lanes of the script`);
+					}
+				}
+				if (spawn.formation !== undefined && !spawn_formations.includes(spawn.formation)) {
+					fail(`${path}.formation`, `must be one of ${spawn_formations.join(', ')}, got ${JSON.stringify(spawn.formation)}`);
+				}
+				if (spawn.path !== undefined) {
+					const entry = pathOf(spawn.path);
+					if (entry == null || entry.type != 'entry') {
+						fail(`${path}.path`, `must name an entry path, got ${JSON.stringify(spawn.path)}`);
+					}
+					if (script.grid === undefined) {
+						fail(`${path}.path`, 'needs a grid in the script for the enemies to settle into');
+					}
+				}
+				if (spawn.mirror !== undefined && typeof spawn.mirror != 'boolean') {
+					fail(`${path}.mirror`, 'must be true or false');
+				}
+				if (spawn.attack !== undefined) {
+					if (!Array.isArray(spawn.attack)) {
+						fail(`${path}.attack`, 'must be a list of attack pattern names');
+					}
+					spawn.attack.forEach((name, index) => {
+						if (attackOf(name) == null) {
+							fail(`${path}.attack[${index}]`, `must name an attack pattern, got ${JSON.stringify(name)}`);
+						}
+					});
+				}
+			});
+		});
+	});
+
+	// with nothing to wait for, a script that starts over would spawn forever on a single update
+	if (script.repeat) {
+		const waves = [].concat(...script.levels.map(level => level.waves));
+		const waits = waves.some(wave => wave.wait_for_clear !== false ||
+			wave.spawns.some(spawn => spawn.delay > 0));
+		if (!waits) {
+			fail('script.repeat', 'needs a wave that waits for clear or a spawn with a delay, or the script never stops spawning');
+		}
+	}
+
+	return script;
+}
+
+
+/**
+ * An object that plays a level script: it spawns the waves of each level in order and moves on to
+ * the next wave once the current one is cleared (or right away for waves that don't wait).
+ *
+ * @author Cody and Cameron
+ * @typedef Enemy_Spawner
+ */
+class Enemy_Spawner {
+	/** @type {Number} Index of the level being played */
+	level_index = 0;
+
+	/** @type {Number} Index of the wave being played in the current level */
+	wave_index = 0;
+
+	/** @type {Number} Index of the next spawn entry in the current wave */
+	spawn_index = 0;
+
+	/** @type {Number} How many bodies the current spawn entry has spawned so far */
+	spawned_count = 0;
+
+	/** @type {Number} Seconds since the last spawn */
+	time_since_spawn = 0;
+
+	/** @type {Array<Body>} Everything spawned by the current wave, used to tell when it is cleared */
+	wave_bodies = [];
+
+	/** @type {Boolean} true once a script that doesn't repeat has been played to the end */
+	finished = false;
+
+	/** @type {Formation} The grid enemies with a path settle into, null if the script has none */
+	formation = null;
+
+	/**
+	 * @type {Number} Most spawns one update runs, the rest wait for the next update. Formations
+	 * are never split, one bigger than the cap still comes in on an update of its own.
+	 */
+	max_spawns_per_update = 100;
+
+	/**
+	 * constructor - creates a new enemy_spawner
+	 *
+	 * @param  {World} world   The world enemies are spawned into
+	 * @param  {Object} script The level script to play, see level_scripts. Throws if it is malformed.
+	 */
+	constructor(world, script = level_scripts.endless){
+		this.world = world;
+		this.script = validateLevelScript(script);
+		// the script's own attacks and bosses go on top of the built in ones
+		this.attacks = Object.assign({}, attack_patterns, this.script.attacks);
+		this.bosses = Object.assign({}, boss_definitions, this.script.bosses);
+		if (this.script.grid !== undefined) {
+			this.formation = new Formation(world, this.script.grid, this.script.paths);
+			this.applyDiveInterval();
+		}
+	}
+
+	/** @type {Object} The level being played */
+	get level() {
+		return this.script.levels[this.level_index];
+	}
+
+	/** @type {Object} The wave being played */
+	get wave() {
+		return this.level.waves[this.wave_index];
+	}
+
+	/**
+	 * @returns {Boolean} true if everything the current wave spawned is dead or off the screen
+	 */
+	isWaveCleared() {
+		return this.wave_bodies.every(body => this.world.entities[body.id] !== body);
+	}
+
+	/**
+	 * @returns {Boolean} true once the whole script is played and the last wave is cleared
+	 */
+	isFinished() {
+		return this.finished && this.isWaveCleared();
+	}
+
+	/**
+	 * @returns {Boolean} true while a boss is on the field, nothing else spawns until it is beaten
+	 */
+	isBossFight() {
+		return this.world.activeBosses().length > 0;
+	}
+
+	/**
+	 * update - updates the enemy_spawner, spawning more enemies or waiting for next wave timer
+	 *
+	 * @param  {Number} delta_time tine in seconds since last update call
+	 */
+	update(delta_time) {
+		if (this.formation != null) {
+			this.formation.update(delta_time);
+		}
+
+		// the script picks up where it left off once the boss is beaten
+		if (this.isBossFight()) {
+			return;
+		}
+
+		// a tougher run gets through the delays of the script faster
+		this.time_since_spawn += delta_time * this.world.director.scale('spawn_rate');
+
+		// several entries can be due on the same update, a delay of 0 spawns with the one before
+		let spawns = 0;
+		while (!this.finished && spawns < this.max_spawns_per_update) {
+			const wave = this.wave;
+
+			if (this.spawn_index >= wave.spawns.length) {
+				if (wave.wait_for_clear !== false) {
+					if (!this.isWaveCleared()) {
+						return;
+					}
+					this.world.events.emit('waveCleared', {
+						level: this.level_index,
+						wave: this.wave_index,
+						// nothing got away
+						perfect: this.wave_bodies.length > 0 && this.wave_bodies.every(body => body.destroyed)
+					});
+				}
+				this.nextWave();
+				// a boss spawned by this update holds back the next wave too, the entries of its own
+				// wave with a delay of 0 still come in with it
+				if (this.isBossFight()) {
+					return;
+				}
+				continue;
+			}
+
+			const spawn = wave.spawns[this.spawn_index];
+			if (this.time_since_spawn < (spawn.delay || 0)) {
+				return;
+			}
+
+			const formation = spawn.formation || 'single';
+			const count = spawn.count || 1;
+			// a formation comes in whole, it waits for the next update if it doesn't fit under the cap
+			if (formation != 'single' && spawns > 0 && spawns + count > this.max_spawns_per_update) {
+				return;
+			}
+			this.time_since_spawn = 0;
+
+			if (formation == 'single') {
+				this.spawn(spawn, 0, 1);
+				this.spawned_count++;
+				spawns++;
+			} else {
+				for (let i = 0; i < count; i++) {
+					this.spawn(spawn, i, count);
+				}
+				this.spawned_count = count;
+				spawns += count;
+			}
+
+			if (this.spawned_count >= count) {
+				this.spawn_index++;
+				this.spawned_count = 0;
+			}
+		}
+	}
+
+	/**
+	 * Moves on to the next wave, the next level after the last wave, and back to the first level
+	 * after the last level if the script repeats.
+	 */
+	nextWave() {
+		this.wave_index++;
+		this.spawn_index = 0;
+		this.spawned_count = 0;
+		this.time_since_spawn = 0;
+		this.wave_bodies = this.wave_bodies.filter(body => this.world.entities[body.id] === body);
+
+		if (this.wave_index < this.level.waves.length) {
+			return;
+		}
+		this.wave_index = 0;
+		this.level_index++;
+		if (this.level_index < this.script.levels.length) {
+			this.applyDiveInterval();
+			return;
+		}
+		if (this.script.repeat) {
+			this.level_index = 0;
+			this.applyDiveInterval();
+		} else {
+			this.level_index = this.script.levels.length - 1;
+			this.wave_index = this.level.waves.length - 1;
+			this.finished = true;
+		}
+	}
+
+	/**
+	 * Sets how often the formation dives, a level can override the rate set by the grid.
+	 */
+	applyDiveInterval() {
+		if (this.formation == null) {
+			return;
+		}
+		const grid = this.script.grid;
+		const level = this.level;
+		if (level.dive_interval !== undefined) {
+			this.formation.dive_interval = level.dive_interval;
+		} else {
+			this.formation.dive_interval = grid.dive_interval !== undefined ? grid.dive_interval : 3;
+		}
+	}
+
+	/**
+	 * Spawns one body of a spawn entry.
+	 *
+	 * @param {Object} spawn The spawn entry from the script
+	 * @param {Number} index Which body of the formation this is
+	 * @param {Number} count How many bodies make up the formation
+	 */
+	spawn(spawn, index, count) {
+		const type = enemy_types[spawn.type];
+		const boss = type === undefined ? this.bosses[spawn.type] : null;
+		const director = this.world.director;
+		const speed = (spawn.speed !== undefined ? spawn.speed : (boss || type).speed) * director.scale('enemy_speed');
+		const width = config.canvas_size.width;
+		const lanes = this.script.lanes || 5;
+
+		let x = spawn.x;
+		if (spawn.lane !== undefined) {
+			x = (spawn.lane + .5) * width / lanes;
+		}
+
+		let y = undefined;
+		const formation = spawn.formation || 'single';
+		if (formation == 'line') {
+			// spread evenly across the screen, or 30px apart around the chosen x
+			x = x === undefined ? width * (index + 1) / (count + 1) : x + 30 * (index - (count - 1) / 2);
+		} else if (formation == 'v') {
+			// the point of the v leads, every pair behind it sits further out and further up
+			const rank = Math.ceil(index / 2);
+			const side = index % 2 == 0 ? 1 : -1;
+			x = (x === undefined ? width / 2 : x) + side * rank * 25;
+			y = -50 - rank * 20;
+		}
+		if (x !== undefined) {
+			x = Math.min(Math.max(0, x), width);
+		}
+
+		if (boss != null) {
+			const body = new BossEnemy(this.world, boss, speed, x, y, this.attacks);
+			body.type = spawn.type;
+			body.max_health *= director.scale('enemy_health');
+			body.health = body.max_health;
+			this.wave_bodies.push(body);
+			this.world.events.emit('enemySpawned', {entity: body, position: body.position});
+			return;
+		}
+
+		const body = type.create(this.world, speed, x, y);
+		body.health *= director.scale('enemy_health');
+		body.type = spawn.type;
+		body.points = type.points;
+		if (spawn.path !== undefined) {
+			body.flight = new Flight(body, this.formation, this.formation.paths[spawn.path], spawn.mirror);
+		}
+		const attack = spawn.attack !== undefined ? spawn.attack : type.attack;
+		if (attack.length > 0) {
+			body.gun = new Enemy_Gun(body, attack.map(name => this.attacks[name]));
+		}
+		this.wave_bodies.push(body);
+		this.world.events.emit('enemySpawned', {entity: body, position: body.position});
+	}
+}
+
+
+/*
+------------------------------
+----- DIFFICULTY SECTION -----
+------------------------------
+*/
+
+/**
+ * The difficulty presets a run can be played on. Every field is a multiplier, 1 plays the game as
+ * it was made:
+ *
+ * name:          shown on screen
+ * spawn_rate:    how fast the spawn delays of the level script run out
+ * enemy_speed:   speed of enemies and bosses
+ * enemy_health:  health of enemies and bosses
+ * fire_rate:     how fast enemy guns cool down between bursts
+ * damage_taken:  damage players take from every hit
+ */
+const difficulty_presets = {
+	easy: {name: 'Easy', spawn_rate: .75, enemy_speed: .8, enemy_health: .75, fire_rate: .7, damage_taken: .5},
+	normal: {name: 'Normal', spawn_rate: 1, enemy_speed: 1, enemy_health: 1, fire_rate: 1, damage_taken: 1},
+	hard: {name: 'Hard', spawn_rate: 1.25, enemy_speed: 1.15, enemy_health: 1.5, fire_rate: 1.3, damage_taken: 1.5},
+	insane: {name: 'Insane', spawn_rate: 1.6, enemy_speed: 1.35, enemy_health: 2, fire_rate: 1.7, damage_taken: 2}
+};
+
+/**
+ * How the difficulty moves during a run, on top of the preset:
+ *
+ * fixed:    the preset from start to end
+ * ramp:     tougher the longer the run goes, see config.difficulty.ramp
+ * adaptive: tougher while the players cruise and easier while they struggle, see
+ *           config.difficulty.adaptive
+ */
+const difficulty_scalings = ['fixed', 'ramp', 'adaptive'];
+
+
+/**
+ * Decides how tough the run is right now. Everything that gets tougher asks scale() for its
+ * multiplier, which is the preset's times the intensity the scaling has worked up to.
+ *
+ * @typedef Difficulty_Director
+ */
+class Difficulty_Director {
+	/** @type {Number} Multiplier the scaling puts on top of the preset, 1 at the start of a run */
+	intensity = 1;
+
+	/** @type {Number} Seconds into the current adaptive window */
+	window_time = 0;
+
+	/** @type {Number} Health the players lost during the current adaptive window */
+	window_damage = 0;
+
+	/** @type {Number} The world's kill count when the current adaptive window started */
+	window_kills = 0;
+
+	/**
+	 * @param {World} world The world whose run is directed
+	 * @param {String} preset A key of difficulty_presets
+	 * @param {String} scaling One of difficulty_scalings
+	 */
+	constructor(world, preset, scaling) {
+		if (!difficulty_presets.hasOwnProperty(preset)) {
+			throw new Error(`Difficulty_Director: unknown difficulty ${preset}`);
+		}
+		if (!difficulty_scalings.includes(scaling)) {
+			throw new Error(`Difficulty_Director: unknown difficulty scaling ${scaling}`);
+		}
+		this.world = world;
+		this.difficulty = preset;
+		this.preset = difficulty_presets[preset];
+		this.scaling = scaling;
+	}
+
+	/**
+	 * @param {String} stat A multiplier of difficulty_presets, like enemy_speed
+	 * @returns {Number} How much tougher than normal that part of the game is right now
+	 */
+	scale(stat) {
+		return this.preset[stat] * this.intensity;
+	}
+
+	/**
+	 * Counts health a player just lost, for the adaptive scaling.
+	 *
+	 * @param {Number} amount Health lost
+	 */
+	playerHurt(amount) {
+		this.window_damage += amount;
+	}
+
+	/**
+	 * Moves the intensity along the way the scaling says.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		if (this.scaling == 'ramp') {
+			const ramp = config.difficulty.ramp;
+			this.intensity = Math.min(ramp.max, 1 + ramp.per_minute * this.world.time_alive / 60);
+		} else if (this.scaling == 'adaptive') {
+			const adaptive = config.difficulty.adaptive;
+			this.window_time += delta_time;
+			if (this.window_time < adaptive.window) {
+				return;
+			}
+
+			const kills = this.world.enemies_killed - this.window_kills;
+			if (this.window_damage == 0 && kills >= adaptive.kills) {
+				this.intensity = Math.min(adaptive.max, this.intensity + adaptive.step);
+			} else if (this.window_damage >= adaptive.hurt) {
+				this.intensity = Math.max(adaptive.min, this.intensity - adaptive.step);
+			}
+			this.window_time = 0;
+			this.window_damage = 0;
+			this.window_kills = this.world.enemies_killed;
+		}
+	}
+}
+
+/*
+------------------------------
+----- COLLISION SECTION ------
+------------------------------
+*/
+
+/**
+ * What happens when two kinds of bodies touch. collision_table[kind][other_kind] is what a body of
+ * the first kind suffers from touching one of the second kind:
+ *
+ * damage:  health taken, or 'shot' for the damage of the projectile doing the hitting
+ * remove:  true if the body is used up by the hit, piercing projectiles never are
+ * pick_up: true if the other body picks this one up (and it is gone)
+ *
+ * Pairs that have no entry either way are never even tested, so shots never get checked against
+ * shots and enemies never against each other.
+ */
+const collision_table = {
+	player: {
+		enemy: {damage: 25},
+		boss: {damage: 100},
+		enemy_shot: {damage: 'shot'}
+	},
+	enemy: {
+		player: {damage: 100},
+		player_shot: {damage: 'shot'}
+	},
+	boss: {
+		player_shot: {damage: 'shot'}
+	},
+	player_shot: {
+		enemy: {remove: true},
+		boss: {remove: true}
+	},
+	enemy_shot: {
+		player: {remove: true}
+	},
+	power_up: {
+		player: {pick_up: true}
+	}
+};
+
+/**
+ * Turns the collision table into layers and masks: every kind gets one bit, and the mask of a kind
+ * has the bit of every kind it reacts with in either direction.
+ *
+ * @param {Object} table A table in the format of collision_table
+ * @returns {Object} {layers: {kind: bit}, masks: {kind: bits}}
+ */
+function buildCollisionLayers(table) {
+	const kinds = [];
+	Object.keys(table).forEach(kind => {
+		kinds.push(kind);
+		Object.keys(table[kind]).forEach(other => kinds.push(other));
+	});
+
+	const layers = {};
+	const masks = {};
+	kinds.filter((kind, index) => kinds.indexOf(kind) == index).forEach((kind, index) => {
+		layers[kind] = 1 << index;
+		masks[kind] = 0;
+	});
+	Object.keys(table).forEach(kind => {
+		Object.keys(table[kind]).forEach(other => {
+			masks[kind] |= layers[other];
+			masks[other] |= layers[kind];
+		});
+	});
+
+	return {layers: layers, masks: masks};
+}
+
+
+/**
+ * A uniform grid of buckets for the broad phase. Every body goes into each cell its box touches,
+ * so only bodies sharing a cell ever need a real overlap test.
+ *
+ * @typedef Spatial_Hash
+ */
+class Spatial_Hash {
+	/**
+	 * @param {Number} cell_size Width and height of a cell in pixels
+	 */
+	constructor(cell_size) {
+		this.cell_size = cell_size;
+		/** @type {Map<String, Array<Body>>} The bodies in each occupied cell */
+		this.cells = new Map();
+	}
+
+	/**
+	 * Empties every cell.
+	 */
+	clear() {
+		this.cells.clear();
+	}
+
+	/**
+	 * @param {Body} body The body to add to every cell its box touches
+	 */
+	insert(body) {
+		const half = body.half_size;
+		const min_x = Math.floor((body.position.x - half.width) / this.cell_size);
+		const max_x = Math.floor((body.position.x + half.width) / this.cell_size);
+		const min_y = Math.floor((body.position.y - half.height) / this.cell_size);
+		const max_y = Math.floor((body.position.y + half.height) / this.cell_size);
+
+		for (let x = min_x; x <= max_x; x++) {
+			for (let y = min_y; y <= max_y; y++) {
+				const key = `${x},${y}`;
+				let cell = this.cells.get(key);
+				if (cell === undefined) {
+					cell = [];
+					this.cells.set(key, cell);
+				}
+				cell.push(body);
+			}
+		}
+	}
+}
+
+
+/**
+ * Handles collisions between bodies. A spatial hash finds the pairs that might touch, the layers
+ * and masks built from the collision table throw out pairs that don't care about each other, and
+ * the table decides what every remaining overlap does. Each pair is resolved at most once per
+ * update, even when the two bodies share several cells.
+ *
+ * @author Cody and Cameron
+ * @typedef Collision_Handler
+ */
+class Collision_Handler {
+
+	/**
+	 * constructor - creates a new collision_handler
+	 *
+	 * @param  {World} world The world whose bodies are checked
+	 * @param  {Object} [table] What each pair of kinds does to each other, see collision_table
+	 */
+	constructor(world, table = collision_table){
+		this.world = world;
+		this.table = table;
+		const layers = buildCollisionLayers(table);
+		this.layers = layers.layers;
+		this.masks = layers.masks;
+		this.hash = new Spatial_Hash(40);
+	}
+
+	/**
+	 * @param {Body} e1 A body
+	 * @param {Body} e2 Another body
+	 * @returns {Boolean} true if the boxes of the bodies overlap
+	 */
+	overlaps(e1, e2) {
+		return e1.position.x - e1.half_size.width < e2.position.x + e2.half_size.width &&
+			e1.position.x + e1.half_size.width > e2.position.x - e2.half_size.width &&
+			e1.position.y - e1.half_size.height < e2.position.y + e2.half_size.height &&
+			e1.position.y + e1.half_size.height > e2.position.y - e2.half_size.height;
+	}
+
+	/**
+	 * update - finds every pair of bodies that touch and applies the collision table to them
+	 *
+	 */
+	update(){
+		this.hash.clear();
+		Object.values(this.world.entities).forEach(body => {
+			if (!body.removed && this.masks[body.kind]) {
+				this.hash.insert(body);
+			}
+		});
+
+		const resolved = new Set();
+		this.hash.cells.forEach(cell => {
+			for (let i = 0; i < cell.length; i++) {
+				for (let j = i + 1; j < cell.length; j++) {
+					const e1 = cell[i];
+					const e2 = cell[j];
+					if ((this.masks[e1.kind] & this.layers[e2.kind]) == 0) {
+						continue;
+					}
+
+					// bodies that share more than one cell show up in each of them
+					const key = e1.id < e2.id ? `${e1.id},${e2.id}` : `${e2.id},${e1.id}`;
+					if (resolved.has(key)) {
+						continue;
+					}
+					resolved.add(key);
+
+					if (!e1.removed && !e2.removed && this.overlaps(e1, e2)) {
+						this.resolve(e1, e2);
+					}
+				}
+			}
+		});
+	}
+
+	/**
+	 * Applies the collision table to a touching pair, both ways round.
+	 *
+	 * @param {Body} e1 A body
+	 * @param {Body} e2 The body it touches
+	 */
+	resolve(e1, e2) {
+		// a piercing shot only hurts each body once on its way through
+		const shot = e1.pierce ? e1 : (e2.pierce ? e2 : null);
+		if (shot != null) {
+			const other = shot === e1 ? e2 : e1;
+			if (shot.hit_ids.has(other.id)) {
+				return;
+			}
+			shot.hit_ids.add(other.id);
+		}
+
+		const to_e1 = this.table[e1.kind] && this.table[e1.kind][e2.kind];
+		const to_e2 = this.table[e2.kind] && this.table[e2.kind][e1.kind];
+		if (to_e1) {
+			this.apply(e1, e2, to_e1);
+		}
+		if (to_e2) {
+			this.apply(e2, e1, to_e2);
+		}
+	}
+
+	/**
+	 * @param {Body} body The body being hurt
+	 * @param {Body} other The body hurting it
+	 * @param {Object} response The entry of the collision table for the pair
+	 */
+	apply(body, other, response) {
+		if (response.damage !== undefined && !body.isDead()) {
+			const health = body.health;
+			body.takeDamage(response.damage == 'shot' ? other.damage : response.damage);
+			if (body.kind == 'player') {
+				// a shield soaks the hit without a scratch
+				if (body.health < health) {
+					this.world.events.emit('playerHit', {entity: body, position: body.position, cause: other, damage: health - body.health});
+				}
+			} else {
+				if (body.health < health) {
+					this.world.events.emit('enemyHit', {entity: body, position: body.position, cause: other, damage: health - body.health});
+				}
+				if (body.isDead()) {
+					this.killed(body, other);
+				}
+			}
+		}
+		if (response.pick_up) {
+			other.pickUp(body);
+			body.remove();
+			this.world.playSound('power_up');
+		}
+		if (response.remove && !body.pierce) {
+			body.remove();
+		}
+	}
+
+	/**
+	 * Takes an enemy or boss out of the world and reports the kill, crediting the player who made
+	 * it. Players are left alone, the world decides what happens when one goes down.
+	 *
+	 * @param {Body} body The body whose health just ran out
+	 * @param {Body} by The body that dealt the last hit, a player or one of their shots
+	 */
+	killed(body, by) {
+		if (body.kind == 'enemy' || body.kind == 'boss') {
+			body.remove();
+			body.destroyed = true;
+			const player = by.kind == 'player' ? by : by.owner;
+			this.world.events.emit('enemyKilled', {
+				entity: body,
+				position: body.position,
+				cause: by,
+				player: player instanceof Player ? player : null
+			});
+		}
+	}
+}
+
+/*
+------------------------------
+----- PARTICLE SECTION -------
+------------------------------
+*/
+
+/**
+ * Every particle effect. An effect either bursts out count particles at once, or keeps streaming
+ * rate particles per second while an emitter is attached to a body.
+ *
+ * count:     particles in a burst
+ * rate:      particles per second for a streaming emitter
+ * lifetime:  [min, max] seconds a particle lives
+ * speed:     [min, max] pixels per update a particle starts with
+ * angle:     direction particles fly in, degrees clockwise from straight right (90 is down)
+ * spread:    degrees the direction varies by either side of angle, 180 for every direction
+ * drag:      share of its speed a particle keeps every update
+ * colors:    [start, end] colors a particle fades between over its life
+ * size:      [start, end] width of a particle over its life
+ */
+const particle_effects = {
+	explosion: {
+		count: 24, lifetime: [.3, .7], speed: [1, 3.5], angle: 0, spread: 180, drag: .94,
+		colors: ['#FFF4A0', '#C02000'], size: [4, 1]
+	},
+	boss_explosion: {
+		count: 80, lifetime: [.5, 1.4], speed: [1, 5], angle: 0, spread: 180, drag: .95,
+		colors: ['#FFFFFF', '#7000A0'], size: [6, 1]
+	},
+	sparks: {
+		count: 6, lifetime: [.1, .3], speed: [2, 4], angle: 90, spread: 50, drag: .85,
+		colors: ['#FFFFFF', '#FFB000'], size: [2, 1]
+	},
+	engine_trail: {
+		rate: 60, lifetime: [.15, .35], speed: [1, 2], angle: 90, spread: 15, drag: .9,
+		colors: ['#80D0FF', '#2040FF'], size: [4, 1]
+	}
+};
+
+
+/**
+ * Keeps particle effects streaming from a body as it moves, until the body leaves the world.
+ *
+ * @typedef Emitter
+ */
+class Emitter {
+	/** @type {Number} Particles owed but not emitted yet, streams rarely land on whole numbers */
+	owed = 0;
+
+	/**
+	 * @param {Object} effect An entry of particle_effects with a rate
+	 * @param {Body} body The body to follow
+	 * @param {Object} offset {x, y} from the middle of the body to emit at
+	 */
+	constructor(effect, body, offset) {
+		this.effect = effect;
+		this.body = body;
+		this.offset = offset;
+	}
+
+	/** @type {Boolean} true once the body is gone and the emitter can be dropped */
+	get done() {
+		return this.body.removed;
+	}
+}
+
+
+/**
+ * Moves and draws every particle of a world. Particles are only for show: they never collide,
+ * and they draw from their own random number generator so turning them up or down can't change
+ * how a seeded run plays out. Dead particles go back to a pool instead of being thrown away, and
+ * no more than max particles are ever alive at once.
+ *
+ * @typedef Particle_System
+ */
+class Particle_System {
+	/** @type {Array<Object>} Living particles */
+	active = [];
+
+	/** @type {Array<Object>} Dead particles waiting to be reused */
+	pool = [];
+
+	/** @type {Array<Emitter>} Streaming emitters */
+	emitters = [];
+
+	/**
+	 * @param {Number} seed Seed for the particles' own random number generator
+	 * @param {Number} [max] The particle cap
+	 */
+	constructor(seed, max = config.particles.max) {
+		this.random = new Random(seed);
+		this.max = max;
+	}
+
+	/**
+	 * Bursts an effect out of a point. Particles past the cap are simply not made.
+	 *
+	 * @param {String} name An entry of particle_effects
+	 * @param {Number} x Where the burst starts
+	 * @param {Number} y Where the burst starts
+	 * @param {Number} [angle] Degrees to fly in, instead of the effect's own angle
+	 */
+	emit(name, x, y, angle) {
+		const effect = particle_effects[name];
+		for (let i = 0; i < effect.count; i++) {
+			this.spawn(effect, x, y, angle);
+		}
+	}
+
+	/**
+	 * Streams an effect from a body for as long as the body is in the world.
+	 *
+	 * @param {String} name An entry of particle_effects with a rate
+	 * @param {Body} body The body to follow
+	 * @param {Object} [offset] {x, y} from the middle of the body
+	 */
+	attach(name, body, offset = {x: 0, y: 0}) {
+		this.emitters.push(new Emitter(particle_effects[name], body, offset));
+	}
+
+	/**
+	 * Makes one particle of an effect.
+	 *
+	 * @param {Object} effect An entry of particle_effects
+	 * @param {Number} x Where the particle starts
+	 * @param {Number} y Where the particle starts
+	 * @param {Number} [angle] Degrees to fly in, instead of the effect's own angle
+	 */
+	spawn(effect, x, y, angle = effect.angle) {
+		if (!config.particles.enabled || this.active.length >= this.max) {
+			return;
+		}
+
+		const random = this.random;
+		const direction = (angle + random.range(-effect.spread, effect.spread)) * Math.PI / 180;
+		const speed = random.range(effect.speed[0], effect.speed[1]);
+
+		const particle = this.pool.length > 0 ? this.pool.pop() : {};
+		particle.effect = effect;
+		particle.x = x;
+		particle.y = y;
+		particle.velocity_x = Math.cos(direction) * speed;
+		particle.velocity_y = Math.sin(direction) * speed;
+		particle.age = 0;
+		particle.lifetime = random.range(effect.lifetime[0], effect.lifetime[1]);
+		this.active.push(particle);
+	}
+
+	/**
+	 * Streams the emitters, ages and moves every particle and pools the ones that died.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		this.emitters = this.emitters.filter(emitter => !emitter.done);
+		this.emitters.forEach(emitter => {
+			emitter.owed += emitter.effect.rate * delta_time;
+			const position = emitter.body.position;
+			while (emitter.owed >= 1) {
+				emitter.owed--;
+				this.spawn(emitter.effect, position.x + emitter.offset.x, position.y + emitter.offset.y);
+			}
+		});
+
+		// swap dead particles with the last one instead of splicing, order doesn't matter
+		const active = this.active;
+		for (let i = active.length - 1; i >= 0; i--) {
+			const particle = active[i];
+			particle.age += delta_time;
+			if (particle.age >= particle.lifetime) {
+				active[i] = active[active.length - 1];
+				active.pop();
+				this.pool.push(particle);
+				continue;
+			}
+			particle.x += particle.velocity_x;
+			particle.y += particle.velocity_y;
+			particle.velocity_x *= particle.effect.drag;
+			particle.velocity_y *= particle.effect.drag;
+		}
+	}
+
+	/**
+	 * Draws every particle as a small square, shrinking, shifting color and fading out with age.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		graphics.save();
+		this.active.forEach(particle => {
+			const effect = particle.effect;
+			const t = particle.age / particle.lifetime;
+			const size = effect.size[0] + (effect.size[1] - effect.size[0]) * t;
+
+			graphics.globalAlpha = 1 - t;
+			graphics.fillStyle = mixColors(effect.colors[0], effect.colors[1], t);
+			graphics.fillRect(particle.x - size / 2, particle.y - size / 2, size, size);
+		});
+		graphics.restore();
+	}
+}
+
+/**
+ * @param {String} from A color as #RRGGBB
+ * @param {String} to Another one
+ * @param {Number} t 0 for from, 1 for to, anything between mixes them
+ * @returns {String} The mixed color as rgb()
+ */
+function mixColors(from, to, t) {
+	const channel = (color, index) => parseInt(color.substr(1 + index * 2, 2), 16);
+	const mixed = [0, 1, 2].map(index => Math.round(channel(from, index) + (channel(to, index) - channel(from, index)) * t));
+	return `rgb(${mixed[0]}, ${mixed[1]}, ${mixed[2]})`;
+}
+
+/*
+------------------------------
+------ CAMERA SECTION --------
+------------------------------
+*/
+
+/**
+ * The layers of the starfield, farthest first. Nearer layers scroll faster and have bigger,
+ * brighter stars, which sells the depth.
+ *
+ * count:     stars in the layer
+ * speed:     pixels per update the layer scrolls down
+ * size:      width of a star
+ * color:     color of the stars
+ * parallax:  how much of the screen shake the layer takes part in, 0 to 1
+ */
+const starfield_layers = [
+	{count: 60, speed: .15, size: 1, color: '#50506A', parallax: .2},
+	{count: 35, speed: .4, size: 1.5, color: '#9090B0', parallax: .5},
+	{count: 15, speed: .9, size: 2, color: '#E0E0FF', parallax: .8}
+];
+
+/**
+ * Screen effects that go with each happening.
+ *
+ * shake:  {strength, duration} strength in pixels, fading out over duration seconds
+ * flash:  {color, alpha, duration} a colored layer over the whole screen that fades out
+ */
+const screen_effects = {
+	player_damage: {
+		shake: {strength: 4, duration: .25},
+		flash: {color: '#FF0000', alpha: .35, duration: .2}
+	},
+	boss_phase: {
+		shake: {strength: 3, duration: .3}
+	},
+	boss_death: {
+		shake: {strength: 8, duration: .6}
+	}
+};
+
+
+/**
+ * Looks at the playfield. Draws the scrolling starfield behind everything, offsets the playfield
+ * while the screen shakes and lays flashes over it afterwards. Like the particles it is only for
+ * show and rolls its own random numbers.
+ *
+ * Drawing goes: drawBackground(), begin(), everything in the playfield, end(), drawEffects().
+ *
+ * @typedef Camera
+ */
+class Camera {
+	/** @type {Object} Where the playfield is drawn from, moved around while shaking */
+	offset = {x: 0, y: 0};
+
+	/** @type {Object} The shake going on, {strength, duration, time_left} or null */
+	shaking = null;
+
+	/** @type {Object} The flash going on, {color, alpha, duration, time_left} or null */
+	flashing = null;
+
+	/**
+	 * @param {Number} seed Seed for the camera's own random number generator
+	 */
+	constructor(seed) {
+		this.random = new Random(seed);
+
+		// every star is {x, y}, scattered over the whole screen to start with
+		this.layers = starfield_layers.map(layer => ({
+			layer: layer,
+			stars: Array.from({length: layer.count}, () => ({
+				x: this.random.range(0, config.canvas_size.width),
+				y: this.random.range(0, config.canvas_size.height)
+			}))
+		}));
+	}
+
+	/**
+	 * Plays the screen effects that go with something that just happened. Effects turned off in
+	 * config are skipped.
+	 *
+	 * @param {String} name An entry of screen_effects
+	 */
+	react(name) {
+		const effect = screen_effects[name];
+		if (effect.shake !== undefined && config.effects.screen_shake) {
+			// a weaker shake never cuts a stronger one short
+			if (this.shaking == null || this.shaking.strength * this.shaking.time_left / this.shaking.duration < effect.shake.strength) {
+				this.shaking = Object.assign({time_left: effect.shake.duration}, effect.shake);
+			}
+		}
+		if (effect.flash !== undefined && config.effects.damage_flash) {
+			this.flashing = Object.assign({time_left: effect.flash.duration}, effect.flash);
+		}
+	}
+
+	/**
+	 * Scrolls the stars and lets the shake and flash wear off.
+	 *
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		this.layers.forEach(({layer, stars}) => {
+			stars.forEach(star => {
+				star.y += layer.speed;
+				// back to the top at a new spot, so the pattern never visibly repeats
+				if (star.y > config.canvas_size.height) {
+					star.y -= config.canvas_size.height;
+					star.x = this.random.range(0, config.canvas_size.width);
+				}
+			});
+		});
+
+		this.offset = {x: 0, y: 0};
+		if (this.shaking != null) {
+			this.shaking.time_left -= delta_time;
+			if (this.shaking.time_left <= 0) {
+				this.shaking = null;
+			} else {
+				const strength = this.shaking.strength * this.shaking.time_left / this.shaking.duration;
+				this.offset = {
+					x: this.random.range(-strength, strength),
+					y: this.random.range(-strength, strength)
+				};
+			}
+		}
+
+		if (this.flashing != null) {
+			this.flashing.time_left -= delta_time;
+			if (this.flashing.time_left <= 0) {
+				this.flashing = null;
+			}
+		}
+	}
+
+	/**
+	 * Clears the screen to space and draws the starfield.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	drawBackground(graphics) {
+		graphics.fillStyle = '#05050F';
+		graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+
+		if (!config.effects.starfield) {
+			return;
+		}
+		this.layers.forEach(({layer, stars}) => {
+			const shift_x = this.offset.x * layer.parallax;
+			const shift_y = this.offset.y * layer.parallax;
+			graphics.fillStyle = layer.color;
+			stars.forEach(star => {
+				graphics.fillRect(star.x + shift_x, star.y + shift_y, layer.size, layer.size);
+			});
+		});
+	}
+
+	/**
+	 * Moves the playfield by the shake. Pair with end().
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	begin(graphics) {
+		graphics.save();
+		graphics.translate(this.offset.x, this.offset.y);
+	}
+
+	/**
+	 * Puts the playfield back where it was before begin().
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	end(graphics) {
+		graphics.restore();
+	}
+
+	/**
+	 * Lays the post effects over the finished playfield.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	drawEffects(graphics) {
+		if (this.flashing == null) {
+			return;
+		}
+		graphics.save();
+		graphics.globalAlpha = this.flashing.alpha * this.flashing.time_left / this.flashing.duration;
+		graphics.fillStyle = this.flashing.color;
+		graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+		graphics.restore();
+	}
+}
+
+/*
+------------------------------
+------- WORLD SECTION --------
+------------------------------
+*/
+
+/**
+ * Holds everything a running game needs: the entity map, the spawner, the collision handler and
+ * the statistics of the current run. The page creates one world and steps it with update(), a
+ * script under Node can do exactly the same thing without a canvas.
+ *
+ * @typedef World
+ */
+class World {
+	/** @type {Number} A counter representing the number of update calls this run */
+	loop_count = 0;
+
+	/** @type {Number} How many runs this world has started, bumped by every start() */
+	run = 0;
+
+	/** @type {Number} The seed the current run was started with */
+	seed = 0;
+
+	/** @type {Random} The only source of randomness the simulation is allowed to use */
+	random = null;
+
+	/** @type {Number} A counter that is used to assign bodies a unique identifier */
+	running_id = 0;
+
+	/** @type {Object<Number, Body>} This is a map of body ids to body instances */
+	entities = {};
+
+	/** @type {Array<Number>} This is an array of body ids to remove at the end of the update */
+	queued_entities_for_removal = [];
+
+	/** @type {Number} 1 for a solo run, 2 for co-op. Takes effect on the next start() */
+	player_count = 1;
+
+	/** @type {String} Difficulty preset, a key of difficulty_presets. Takes effect on the next start() */
+	difficulty = 'normal';
+
+	/** @type {String} One of difficulty_scalings. Takes effect on the next start() */
+	difficulty_scaling = 'fixed';
+
+	/** @type {Difficulty_Director} How tough the run is right now */
+	director = null;
+
+	/** @type {Array<Player>} Every player of the run, fallen ones stay here until they respawn */
+	players = [];
+
+	/** @type {Array<Number>} Seconds each fallen player has been waiting to respawn */
+	respawn_timers = [];
+
+	/** @type {Object} Anything with a play(name) method, see audio.js. null keeps the world silent */
+	audio = null;
+
+	/** @type {Event_Bus} Tells subscribers what happens in the run, see game_events */
+	events = new Event_Bus();
+
+	/** @type {Number} The update the fire sound last played on */
+	fire_sound_loop = -1;
+
+	/** @type {Particle_System} Explosions, sparks and engine trails */
+	particles = null;
+
+	/** @type {Camera} The starfield, screen shake and flashes */
+	camera = null;
+
+	/** @type {Enemy_Spawner} Spawns the enemy waves */
+	enemy_spawner = null;
+
+	/** @type {Collision_Handler} Resolves collisions between bodies */
+	collision_handler = null;
+
+	/** @type {Object} The level script every run plays, see level_scripts */
+	level_script = level_scripts.endless;
+
+	/** @type {Boolean} true if the run ended because the level script was beaten */
+	won = false;
+
+	/** @type {Number} Score of the current run */
+	score = 0;
+
+	/** @type {Number} Seconds the player has survived this run */
+	time_alive = 0;
+
+
+	// counters for the current run
+	enemies_spawned = 0;
+	enemies_killed = 0;
+	bosses_spawned = 0;
+	bosses_killed = 0;
+
+	/** @type {Number} Best score seen by this world, kept across restarts */
+	high_score = 0;
+
+	/** @type {Boolean} true once every player is out, the world stops updating until start() */
+	over = false;
+
+	/**
+	 * Creates an empty world. Call start() before the first update.
+	 */
+	constructor() {
+		// the controllers outlive the players so held keys are still held after a restart
+		this.controllers = [0, 1].map(() => ({
+			move_x: 0,
+			move_y: 0,
+			action_1: false,
+			action_2: false
+		}));
+		this.subscribe();
+	}
+
+	/**
+	 * Hooks the world's own bookkeeping up to its events: sound and effects, the counters of the
+	 * run, scoring and power-up drops. They subscribe first so they always run in this order,
+	 * anything else can subscribe to world.events the same way.
+	 */
+	subscribe() {
+		const events = this.events;
+
+		// sound and effects
+		events.on('projectileFired', ({cause}) => {
+			// a volley is several projectiles on the same update, it only needs the one sound
+			if (cause instanceof Player && this.fire_sound_loop != this.loop_count) {
+				this.fire_sound_loop = this.loop_count;
+				this.playSound('fire');
+			}
+		});
+		events.on('enemyKilled', ({entity, position}) => {
+			const boss = entity.kind == 'boss';
+			new Explosion(this, position.x, position.y, Math.max(entity.size.width, entity.size.height) * 1.5);
+			this.playSound(boss ? 'boss_death' : 'enemy_death');
+			this.particles.emit(boss ? 'boss_explosion' : 'explosion', position.x, position.y);
+			if (boss) {
+				this.camera.react('boss_death');
+			}
+		});
+		events.on('enemyHit', ({entity, cause}) => {
+			if (entity.isDead()) {
+				return;
+			}
+			this.playSound('hit');
+			// sparks fly back the way the shot came from
+			if (entity.kind == 'boss' && cause.direction !== undefined) {
+				const angle = Math.atan2(-cause.direction.y, -cause.direction.x) * 180 / Math.PI;
+				this.particles.emit('sparks', cause.position.x, cause.position.y - cause.half_size.height, angle);
+			}
+		});
+		events.on('playerHit', () => {
+			this.playSound('player_damage');
+			this.camera.react('player_damage');
+		});
+		events.on('gameOver', ({won}) => {
+			if (!won) {
+				this.playSound('game_over');
+			}
+		});
+		events.on('scored', ({points, position, label}) => {
+			new Score_Popup(this, position.x, position.y, label != null ? `${label} +${points}` : `+${points}`);
+		});
+
+		// counters of the run
+		events.on('enemySpawned', ({entity}) => {
+			if (entity.kind == 'boss') {
+				this.bosses_spawned++;
+			} else {
+				this.enemies_spawned++;
+			}
+		});
+		events.on('enemyKilled', ({entity, player}) => {
+			this.enemies_killed++;
+			if (entity.kind == 'boss') {
+				this.bosses_killed++;
+			}
+			if (player != null) {
+				player.kills++;
+				if (entity.kind == 'boss') {
+					player.boss_kills++;
+				}
+			}
+		});
+		events.on('playerHit', ({damage}) => {
+			this.director.playerHurt(damage);
+		});
+		events.on('gameOver', ({results}) => {
+			if (results.score > this.high_score) {
+				this.high_score = results.score;
+			}
+		});
+
+		// scoring, a kill only builds the combo of the player who made it
+		events.on('enemyKilled', ({entity, position, player}) => {
+			const multiplier = player != null ? player.comboKill() : 1;
+			this.award(Math.round(entity.points * multiplier), position, player, multiplier > 1 ? `x${multiplier.toFixed(2).replace(/\.?0+$/, '')}` : null);
+			if (entity.kind == 'boss') {
+				this.award(entity.definition.bonus, {x: position.x, y: position.y + 14}, player, 'BOSS');
+			}
+		});
+		events.on('waveCleared', ({perfect}) => {
+			if (perfect) {
+				this.award(config.scoring.wave_clear, {x: config.canvas_size.width / 2, y: config.canvas_size.height / 2}, null, 'WAVE CLEAR');
+			}
+		});
+
+		// power-ups
+		events.on('enemyKilled', ({entity}) => {
+			dropPowerUp(this, entity);
+		});
+	}
+
+	/** @type {Object} Player one's controller */
+	get controller() {
+		return this.controllers[0];
+	}
+
+	/** @type {Player} Player one, null before the first start() */
+	get player() {
+		return this.players.length > 0 ? this.players[0] : null;
+	}
+
+	/**
+	 * @returns {Array<Player>} The players that are still in the world
+	 */
+	livingPlayers() {
+		return this.players.filter(player => !player.removed);
+	}
+
+	/**
+	 * Adds points to the score, and to the share of the player who earned them, and reports them
+	 * with a scored event.
+	 *
+	 * @param {Number} points Points to add
+	 * @param {Object} position Where the popup starts
+	 * @param {Player} [player] The player to credit, null for points the whole team earned
+	 * @param {String} [label] Shown in front of the points, like the combo or the kind of bonus
+	 */
+	award(points, position, player = null, label = null) {
+		this.score += points;
+		if (player != null) {
+			player.score += points;
+		}
+		this.events.emit('scored', {points: points, position: position, player: player, label: label});
+	}
+
+	/**
+	 * @returns {Array<BossEnemy>} The bosses on the field, in the order they were spawned
+	 */
+	activeBosses() {
+		return Object.values(this.entities).filter(entity => entity.kind == 'boss' && !entity.removed);
+	}
+
+	/**
+	 * @param {Object} position A point in the world
+	 * @returns {Player} The living player closest to the point, null if every player is down
+	 */
+	nearestPlayer(position) {
+		let nearest = null;
+		let best = Infinity;
+		this.livingPlayers().forEach(player => {
+			const distance = Math.hypot(player.position.x - position.x, player.position.y - position.y);
+			if (distance < best) {
+				best = distance;
+				nearest = player;
+			}
+		});
+		return nearest;
+	}
+
+	/**
+	 * Asks for a sound effect by name. The simulation never deals with audio itself, so a world
+	 * without audio (under Node, or the title screen demo) just stays quiet.
+	 *
+	 * @param {String} name A sound, see sound_manifest in audio.js
+	 */
+	playSound(name) {
+		if (this.audio != null) {
+			this.audio.play(name);
+		}
+	}
+
+	/**
+	 * A fallen player comes back while they have ships left. Out of ships, a co-op player still
+	 * comes back as long as somebody else is holding out.
+	 *
+	 * @param {Number} index Which player
+	 * @returns {Boolean} true if the player is up or on their way back
+	 */
+	canRespawn(index) {
+		const player = this.players[index];
+		return !player.removed || player.lives > 0 || this.livingPlayers().length > 0;
+	}
+
+	/**
+	 * @param {Number} index Which player
+	 * @returns {Number} Seconds a fallen player waits in total before coming back
+	 */
+	respawnDelay(index) {
+		return this.players[index].lives > 0 ? config.player.respawn_delay : config.co_op.respawn_delay;
+	}
+
+	/**
+	 * @param {Number} index Which player
+	 * @returns {Number} Seconds until the player respawns, 0 if they are up
+	 */
+	respawnTime(index) {
+		if (!this.players[index].removed) {
+			return 0;
+		}
+		return Math.max(0, this.respawnDelay(index) - this.respawn_timers[index]);
+	}
+
+	/**
+	 * start - clears the world and sets up a fresh run
+	 *
+	 * @param {Number} [seed] Seed for the run, a random one is picked when left out
+	 */
+	start(seed = Math.floor(Math.random() * 4294967296)) {
+		if (this.run > 0 && !this.over) {
+			this.events.emit('gameAbandoned', {results: this.results()});
+		}
+		this.run++;
+		this.seed = seed >>> 0;
+		this.random = new Random(this.seed);
+		// particles get their own sequence so they never shift the simulation's
+		this.particles = new Particle_System((this.seed ^ 0x9E3779B9) >>> 0);
+		this.camera = new Camera((this.seed ^ 0x85EBCA6B) >>> 0);
+		this.director = new Difficulty_Director(this, this.difficulty, this.difficulty_scaling);
+		this.loop_count = 0;
+		this.over = false;
+		this.won = false;
+		this.entities = {};
+		this.queued_entities_for_removal = [];
+		this.score = 0;
+		this.enemies_killed = 0;
+		this.time_alive = 0;
+		this.bosses_spawned = 0;
+		this.bosses_killed = 0;
+		this.enemies_spawned = 0;
+		this.players = [];
+		for (let i = 0; i < this.player_count; i++) {
+			this.players.push(new Player(this, this.controllers[i], i));
+		}
+		this.respawn_timers = this.players.map(() => 0);
+		this.enemy_spawner = new Enemy_Spawner(this, this.level_script);
+		this.collision_handler = new Collision_Handler(this);
+		this.fire_sound_loop = -1;
+		this.events.emit('gameStarted', {seed: this.seed, player_count: this.player_count, difficulty: this.difficulty});
+	}
+
+	/**
+	 * This function updates the state of the world given a delta time.
+	 *
+	 * @param {Number} delta_time Time since last update in seconds.
+	 */
+	update(delta_time) {
+		if (this.over) {
+			return;
+		}
+
+		this.loop_count++;
+		this.time_alive += delta_time;
+
+		// move entities
+		Object.values(this.entities).forEach(entity => {
+			entity.update(delta_time);
+		});
+		this.particles.update(delta_time);
+		this.camera.update(delta_time);
+		this.director.update(delta_time);
+
+		// detect and handle collision events
+		if (this.collision_handler != null) {
+			this.collision_handler.update(delta_time);
+		}
+
+		// remove enemies
+		this.queued_entities_for_removal.forEach(id => {
+			delete this.entities[id];
+		});
+		this.queued_entities_for_removal = [];
+
+		// a fallen player comes back after a while, with a new ship or on their partner's account
+		const can_respawn = this.players.map((player, index) => this.canRespawn(index));
+		this.players.forEach((player, index) => {
+			if (!player.removed || !can_respawn[index]) {
+				return;
+			}
+			this.respawn_timers[index] += delta_time;
+			if (this.respawn_timers[index] >= this.respawnDelay(index)) {
+				this.respawn_timers[index] = 0;
+				const respawned = new Player(this, this.controllers[index], index);
+				// a new life, but the player's share of the score carries on
+				respawned.time_alive = player.time_alive;
+				respawned.kills = player.kills;
+				respawned.boss_kills = player.boss_kills;
+				respawned.score = player.score;
+				respawned.lives = player.lives;
+				respawned.invulnerable = config.player.invulnerable_time;
+				this.players[index] = respawned;
+			}
+		});
+
+		// spawn enemies
+		if (this.enemy_spawner != null) {
+			this.enemy_spawner.update(delta_time);
+		}
+
+		// a script that doesn't repeat is won once its last wave is cleared
+		if (this.enemy_spawner != null && this.enemy_spawner.isFinished()) {
+			this.won = true;
+		}
+
+		// the run is over once every player is down at the same time with no ships left, or the
+		// script is won, whoever drives the world decides what's next
+		if (this.players.every(player => player.isDead() && player.lives == 0) || this.won) {
+			this.over = true;
+			this.events.emit('gameOver', {won: this.won, results: this.results()});
+		}
+	}
+
+	/**
+	 * @returns {Boolean} true if every player is out or the script was won, and the run has ended
+	 */
+	isOver() {
+		return this.over;
+	}
+
+	/**
+	 * @returns {Object} A snapshot of the statistics of the current run
+	 */
+	results() {
+		return {
+			seed: this.seed,
+			level: this.enemy_spawner != null ? this.enemy_spawner.level_index + 1 : 1,
+			won: this.won,
+			loop_count: this.loop_count,
+			score: this.score,
+			time_alive: this.time_alive,
+			enemies_spawned: this.enemies_spawned,
+			enemies_killed: this.enemies_killed,
+			bosses_spawned: this.bosses_spawned,
+			bosses_killed: this.bosses_killed,
+			player_count: this.player_count,
+			difficulty: this.director.difficulty,
+			difficulty_scaling: this.director.scaling,
+			player_scores: this.players.map(player => player.score)
+		};
+	}
+}
+
+/*
+------------------------------
+----- RECORDING SECTION ------
+------------------------------
+*/
+
+/**
+ * @type {Number} Version of the recording format and of the rules of the simulation. Bump it
+ * whenever either changes: a recording only plays out the same on the rules it was made with, so
+ * recordings of any other version are refused instead of played into a different run.
+ */
+const RECORDING_VERSION = 3;
+
+/**
+ * Records the controller of a world once per update so the run can be played back later. Only
+ * ticks where the controller changed are stored, every other tick repeats the last stored state.
+ *
+ * A recording looks like:
+ * {version, seed, level_script, player_count, difficulty, difficulty_scaling, delta_time, length,
+ *  frames: [{loop_count, move_x, move_y, action_1, action_2, player_2}], result}
+ *
+ * where player_2 holds the second controller as {move_x, move_y, action_1, action_2} and is only
+ * there in co-op recordings.
+ *
+ * @typedef Input_Recorder
+ */
+class Input_Recorder {
+	/** @type {Object} The recording of the current (or last) run */
+	recording = null;
+
+	/**
+	 * @param {World} world The world whose controller is recorded
+	 */
+	constructor(world) {
+		this.world = world;
+	}
+
+	/**
+	 * Stores the controller state for the upcoming update. Call this right before world.update().
+	 */
+	capture() {
+		const world = this.world;
+
+		// the world was restarted since the last capture, begin a new recording
+		if (this.recording == null || this.recording.run != world.run) {
+			this.recording = {
+				run: world.run,
+				version: RECORDING_VERSION,
+				seed: world.seed,
+				level_script: world.level_script,
+				player_count: world.players.length,
+				difficulty: world.director.difficulty,
+				difficulty_scaling: world.director.scaling,
+				delta_time: config.update_rate.seconds,
+				length: 0,
+				frames: []
+			};
+		}
+
+		const frames = this.recording.frames;
+		const last = frames[frames.length - 1];
+		const frame = Object.assign({loop_count: world.loop_count}, Input_Recorder.snapshot(world.controllers[0]));
+		if (this.recording.player_count > 1) {
+			frame.player_2 = Input_Recorder.snapshot(world.controllers[1]);
+		}
+		if (last == null || Input_Recorder.changed(last, frame) ||
+			(frame.player_2 !== undefined && Input_Recorder.changed(last.player_2, frame.player_2))) {
+			frames.push(frame);
+		}
+		this.recording.length = world.loop_count + 1;
+	}
+
+	/**
+	 * @param {Object} controller A controller
+	 * @returns {Object} A copy of the controller's state
+	 */
+	static snapshot(controller) {
+		return {
+			move_x: controller.move_x,
+			move_y: controller.move_y,
+			action_1: controller.action_1,
+			action_2: controller.action_2
+		};
+	}
+
+	/**
+	 * @param {Object} last A stored controller state
+	 * @param {Object} next Another one
+	 * @returns {Boolean} true if anything differs
+	 */
+	static changed(last, next) {
+		return last.move_x != next.move_x ||
+			last.move_y != next.move_y ||
+			last.action_1 != next.action_1 ||
+			last.action_2 != next.action_2;
+	}
+
+	/**
+	 * @returns {Object} The recording of the current run, or of the last one if the game is over.
+	 * This is what gets written out when a recording is exported.
+	 */
+	toJSON() {
+		const recording = this.recording;
+		if (recording == null || recording.run != this.world.run) {
+			return null;
+		}
+
+		return {
+			version: recording.version,
+			seed: recording.seed,
+			level_script: recording.level_script,
+			player_count: recording.player_count,
+			difficulty: recording.difficulty,
+			difficulty_scaling: recording.difficulty_scaling,
+			delta_time: recording.delta_time,
+			length: recording.length,
+			frames: recording.frames,
+			result: this.world.results()
+		};
+	}
+}
+
+/**
+ * Plays a recording made by an Input_Recorder back into a world. The world is restarted with the
+ * recorded seed and the recorded controller states are fed in before each update, so the run ends
+ * with the same score and kill counts it was recorded with.
+ *
+ * @typedef Replay_Player
+ */
+class Replay_Player {
+	/**
+	 * @param {Object|String} recording A recording object, or the JSON text of one
+	 */
+	constructor(recording) {
+		if (typeof recording == 'string') {
+			recording = JSON.parse(recording);
+		}
+		if (recording == null || recording.version != RECORDING_VERSION) {
+			throw new Error(`Replay_Player: unsupported recording version ${recording && recording.version}`);
+		}
+		if (!Array.isArray(recording.frames) || typeof recording.seed != 'number' || typeof recording.length != 'number') {
+			throw new Error('Replay_Player: recording is missing its seed, length or frames');
+		}
+		if (recording.level_script == null || typeof recording.level_script != 'object') {
+			throw new Error('Replay_Player: recording is missing its level script');
+		}
+		if (![1, 2].includes(recording.player_count)) {
+			throw new Error(`Replay_Player: unsupported player count ${recording.player_count}`);
+		}
+		if (!difficulty_presets.hasOwnProperty(recording.difficulty) || !difficulty_scalings.includes(recording.difficulty_scaling)) {
+			throw new Error(`Replay_Player: unknown difficulty ${recording.difficulty} ${recording.difficulty_scaling}`);
+		}
+
+		this.recording = recording;
+		this.world = null;
+		this.recorded_run = 0;
+		this.frame_index = 0;
+	}
+
+	/**
+	 * Restarts the world with the recorded seed and rewinds to the first frame.
+	 *
+	 * @param {World} world The world to play the recording into
+	 */
+	begin(world) {
+		this.world = world;
+		this.frame_index = 0;
+		world.level_script = this.recording.level_script;
+		world.player_count = this.recording.player_count;
+		world.difficulty = this.recording.difficulty;
+		world.difficulty_scaling = this.recording.difficulty_scaling;
+		world.start(this.recording.seed);
+		this.recorded_run = world.run;
+	}
+
+	/**
+	 * @returns {Boolean} true once every recorded tick has been played or the run has ended
+	 */
+	isDone() {
+		return this.world.run != this.recorded_run || this.world.isOver() || this.world.loop_count >= this.recording.length;
+	}
+
+	/**
+	 * Feeds the recorded controller state for the upcoming update. Call this right before
+	 * world.update().
+	 *
+	 * @returns {Boolean} false when there is nothing left to play
+	 */
+	apply() {
+		if (this.isDone()) {
+			return false;
+		}
+
+		const frames = this.recording.frames;
+		while (this.frame_index < frames.length && frames[this.frame_index].loop_count <= this.world.loop_count) {
+			this.frame_index++;
+		}
+
+		// written every tick so stray key presses during the replay can't leak into it
+		const frame = frames[this.frame_index - 1];
+		Replay_Player.restore(this.world.controllers[0], frame);
+		Replay_Player.restore(this.world.controllers[1], frame ? frame.player_2 : undefined);
+		return true;
+	}
+
+	/**
+	 * Writes a recorded controller state into a controller.
+	 *
+	 * @param {Object} controller The controller to write
+	 * @param {Object} [state] The recorded state, the controller is let go when there is none
+	 */
+	static restore(controller, state) {
+		controller.move_x = state ? state.move_x : 0;
+		controller.move_y = state ? state.move_y : 0;
+		controller.action_1 = state ? state.action_1 : false;
+		controller.action_2 = state ? state.action_2 : false;
+	}
+
+	/**
+	 * Plays the whole recording as fast as possible, without drawing anything.
+	 *
+	 * @param {World} world The world to play the recording into
+	 * @returns {Object} The results() of the replayed run
+	 */
+	runToEnd(world) {
+		this.begin(world);
+		while (this.apply()) {
+			world.update(this.recording.delta_time);
+		}
+		return world.results();
+	}
+}
+
+/*
+------------------------------
+---- HIGH SCORE SECTION ------
+------------------------------
+*/
+
+/**
+ * Reads a versioned save out of a key-value storage such as window.localStorage. Saves are kept
+ * as {version, data} so a change of format can be recognised instead of misread.
+ *
+ * @param {Storage} storage Anything with getItem(key), null if there is no storage at all
+ * @param {String} key Key the save is stored under
+ * @param {Number} version The save version this build understands
+ * @returns {*} The saved data, or null if there is none, it is unreadable or from another version
+ */
+function readSave(storage, key, version) {
+	if (storage == null) {
+		return null;
+	}
+
+	let text;
+	try {
+		text = storage.getItem(key);
+	} catch (error) {
+		// storage can throw when the browser blocks it, play on without saving
+		console.warn(`readSave: could not read ${key}, ${error.message}`);
+		return null;
+	}
+	if (text == null) {
+		return null;
+	}
+
+	let save;
+	try {
+		save = JSON.parse(text);
+	} catch (error) {
+		console.warn(`readSave: ${key} is corrupt and will be replaced`);
+		return null;
+	}
+	if (save == null || typeof save != 'object' || save.version !== version) {
+		console.warn(`readSave: ${key} has unsupported version ${save && save.version} and will be replaced`);
+		return null;
+	}
+	return save.data;
+}
+
+/**
+ * Writes a versioned save, see readSave().
+ *
+ * @param {Storage} storage Anything with setItem(key, value), null if there is no storage at all
+ * @param {String} key Key to store the save under
+ * @param {Number} version The save version this build writes
+ * @param {*} data Anything JSON can hold
+ * @returns {Boolean} true if the save was written
+ */
+function writeSave(storage, key, version, data) {
+	if (storage == null) {
+		return false;
+	}
+
+	try {
+		storage.setItem(key, JSON.stringify({version: version, data: data}));
+		return true;
+	} catch (error) {
+		// full or blocked storage shouldn't end the game
+		console.warn(`writeSave: could not write ${key}, ${error.message}`);
+		return false;
+	}
+}
+
+/** @type {Number} Version of the saved high score table, bump it when the entry format changes */
+const HIGH_SCORE_VERSION = 1;
+
+/** @type {String} Characters the initials can be made of, in the order up and down cycle through them */
+const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ';
+
+/**
+ * The best scores ever made on this machine, highest first. Every entry is
+ * {initials, score, date, time_alive, enemies_killed, bosses_killed, difficulty, difficulty_scaling}
+ * where date is an ISO string.
+ *
+ * @typedef High_Score_Table
+ */
+class High_Score_Table {
+	/** @type {Number} Entries kept, anything below is dropped */
+	size = 10;
+
+	/** @type {Array<Object>} The entries, highest score first */
+	entries = [];
+
+	/**
+	 * Loads the saved table. A missing, corrupt or outdated save leaves the table empty, and the
+	 * next add() writes a fresh one over it.
+	 *
+	 * @param {Storage} [storage] Where the table is saved, usually window.localStorage
+	 * @param {String} [key] Key the table is saved under
+	 */
+	constructor(storage = null, key = 'space_shooter.high_scores') {
+		this.storage = storage;
+		this.key = key;
+
+		const data = readSave(storage, key, HIGH_SCORE_VERSION);
+		if (Array.isArray(data)) {
+			// a hand edited save might hold anything, keep only the entries that still make sense
+			this.entries = data.filter(entry => High_Score_Table.isEntry(entry));
+			// scores saved before difficulty presets were all made on what is now normal
+			this.entries = this.entries.map(entry => Object.assign({difficulty: 'normal', difficulty_scaling: 'fixed'}, entry));
+			this.entries.sort((a, b) => b.score - a.score);
+			this.entries.length = Math.min(this.entries.length, this.size);
+		}
+	}
+
+	/**
+	 * @param {*} entry Anything read from storage
+	 * @returns {Boolean} true if the entry has every field with the right type
+	 */
+	static isEntry(entry) {
+		return entry != null && typeof entry == 'object' &&
+			typeof entry.initials == 'string' &&
+			Number.isFinite(entry.score) &&
+			typeof entry.date == 'string' &&
+			Number.isFinite(entry.time_alive) &&
+			Number.isFinite(entry.enemies_killed) &&
+			Number.isFinite(entry.bosses_killed) &&
+			(entry.difficulty === undefined || difficulty_presets.hasOwnProperty(entry.difficulty)) &&
+			(entry.difficulty_scaling === undefined || difficulty_scalings.includes(entry.difficulty_scaling));
+	}
+
+	/**
+	 * @returns {Number} The best score in the table, 0 if it is empty
+	 */
+	best() {
+		return this.entries.length > 0 ? this.entries[0].score : 0;
+	}
+
+	/**
+	 * @param {Number} score A final score
+	 * @returns {Boolean} true if the score would make it onto the table
+	 */
+	qualifies(score) {
+		return score > 0 && (this.entries.length < this.size || score > this.entries[this.entries.length - 1].score);
+	}
+
+	/**
+	 * Puts a finished run on the table and saves it. Ties go below the older entry.
+	 *
+	 * @param {String} initials Up to three characters
+	 * @param {Object} results The results() of the run
+	 * @param {Date} [date] When the run ended
+	 * @returns {Number} Place on the table starting at 0, -1 if the score didn't make it
+	 */
+	add(initials, results, date = new Date()) {
+		if (!this.qualifies(results.score)) {
+			return -1;
+		}
+
+		const entry = {
+			initials: initials.slice(0, 3),
+			score: results.score,
+			date: date.toISOString(),
+			time_alive: results.time_alive,
+			enemies_killed: results.enemies_killed,
+			bosses_killed: results.bosses_killed,
+			difficulty: results.difficulty,
+			difficulty_scaling: results.difficulty_scaling
+		};
+
+		let place = this.entries.findIndex(other => entry.score > other.score);
+		if (place == -1) {
+			place = this.entries.length;
+		}
+		this.entries.splice(place, 0, entry);
+		this.entries.length = Math.min(this.entries.length, this.size);
+
+		writeSave(this.storage, this.key, HIGH_SCORE_VERSION, this.entries);
+		return place;
+	}
+}
+
+/*
+------------------------------
+--- ACHIEVEMENT SECTION ------
+------------------------------
+*/
+
+/** @type {Number} Version of the saved lifetime stats, bump it when their format changes */
+const LIFETIME_VERSION = 1;
+
+/** @type {Number} Version of the saved achievements, bump it when their format changes */
+const ACHIEVEMENTS_VERSION = 1;
+
+/**
+ * Statistics kept over every run ever played on this machine, and over the run being played. It
+ * follows a world through its events and saves once a run ends.
+ *
+ * @typedef Lifetime_Stats
+ */
+class Lifetime_Stats {
+	/** @type {Object} Totals over every run, saved between sessions */
+	totals = Lifetime_Stats.empty();
+
+	/** @type {Object} The same kind of totals for the run being played, plus its best combo */
+	run = Object.assign(Lifetime_Stats.empty(), {max_combo: 1});
+
+	/** @type {Boolean} false to let runs go by without counting them, like replays */
+	counting = true;
+
+	/** @type {Boolean} true while a counted run is going whose playtime isn't in the totals yet */
+	open = false;
+
+	/** @type {WeakSet<Projectile>} Shots that already hit something, so a piercing shot counts once */
+	hit_projectiles = new WeakSet();
+
+	/**
+	 * Loads the saved totals. A missing, corrupt or outdated save starts them over at zero.
+	 *
+	 * @param {Storage} [storage] Where the totals are saved, usually window.localStorage
+	 * @param {String} [key] Key the totals are saved under
+	 */
+	constructor(storage = null, key = 'space_shooter.lifetime') {
+		this.storage = storage;
+		this.key = key;
+
+		const data = readSave(storage, key, LIFETIME_VERSION);
+		if (data != null && typeof data == 'object') {
+			// fields added later start at zero for an older save
+			Object.keys(this.totals).forEach(field => {
+				const value = data[field];
+				if (field == 'kills' ? value != null && typeof value == 'object' : Number.isFinite(value)) {
+					this.totals[field] = value;
+				}
+			});
+		}
+	}
+
+	/**
+	 * @returns {Object} Every total at zero
+	 */
+	static empty() {
+		return {
+			playtime: 0,
+			runs: 0,
+			kills: {},
+			enemies_killed: 0,
+			bosses_killed: 0,
+			shots_fired: 0,
+			shots_hit: 0,
+			best_survival: 0
+		};
+	}
+
+	/**
+	 * @param {Object} stats The totals or the run
+	 * @returns {Number} Share of the shots fired that hit something, 0 to 1
+	 */
+	static accuracy(stats) {
+		return stats.shots_fired > 0 ? stats.shots_hit / stats.shots_fired : 0;
+	}
+
+	/**
+	 * Starts following a world's runs.
+	 *
+	 * @param {World} world The world to follow
+	 */
+	track(world) {
+		const count = (handler) => (payload) => {
+			if (this.counting) {
+				handler(payload);
+			}
+		};
+		const both = (change) => {
+			change(this.totals);
+			change(this.run);
+		};
+
+		// a run counts as soon as it starts, its playtime once it ends in any way
+		world.events.on('gameStarted', () => {
+			this.run = Object.assign(Lifetime_Stats.empty(), {max_combo: 1});
+			if (this.counting) {
+				both(stats => stats.runs++);
+				this.open = true;
+				this.save();
+			}
+		});
+		world.events.on('projectileFired', count(({cause}) => {
+			if (cause instanceof Player) {
+				both(stats => stats.shots_fired++);
+			}
+		}));
+		world.events.on('enemyHit', count(({cause}) => {
+			// a piercing shot that hits several enemies still only counts once
+			if (cause instanceof Projectile && cause.owner instanceof Player && !this.hit_projectiles.has(cause)) {
+				this.hit_projectiles.add(cause);
+				both(stats => stats.shots_hit++);
+			}
+		}));
+		world.events.on('enemyKilled', count(({entity, player}) => {
+			both(stats => {
+				stats.kills[entity.type] = (stats.kills[entity.type] || 0) + 1;
+				stats.enemies_killed++;
+				if (entity.kind == 'boss') {
+					stats.bosses_killed++;
+				}
+			});
+			if (player != null) {
+				this.run.max_combo = Math.max(this.run.max_combo, player.combo);
+			}
+		}));
+		world.events.on('gameOver', ({results}) => this.endRun(results));
+		world.events.on('gameAbandoned', ({results}) => this.endRun(results));
+	}
+
+	/**
+	 * Adds the playtime of the run being played to the totals and saves. Only the first call after
+	 * a counted run started does anything, so a run is never added twice.
+	 *
+	 * @param {Object} results The world.results() of the run
+	 */
+	endRun(results) {
+		if (!this.open) {
+			return;
+		}
+		this.open = false;
+		[this.totals, this.run].forEach(stats => {
+			stats.playtime += results.time_alive;
+			stats.best_survival = Math.max(stats.best_survival, results.time_alive);
+		});
+		this.save();
+	}
+
+	/**
+	 * Writes the totals to storage.
+	 */
+	save() {
+		writeSave(this.storage, this.key, LIFETIME_VERSION, this.totals);
+	}
+}
+
+
+/**
+ * Every achievement, unlocked once and kept forever. Conditions are plain data, one of:
+ *
+ * {scope: 'run', at_least: {field: value}}       every field of the run being played has reached
+ *                                                its value. Fields are those of world.results()
+ *                                                plus the run's stats (shots_fired, accuracy,
+ *                                                max_combo...)
+ * {scope: 'lifetime', at_least: {field: value}}  the same for the totals over every run
+ * {untouched: kind}                              a body of that kind (boss or enemy) destroyed
+ *                                                without any player getting hurt since it spawned
+ *
+ * A condition can add difficulty: [String] to only count on those difficulty presets.
+ */
+const achievement_definitions = {
+	first_blood: {name: 'First Blood', description: 'Destroy your first enemy', condition: {scope: 'lifetime', at_least: {enemies_killed: 1}}},
+	survivor: {name: 'Survivor', description: 'Survive 120 seconds in one run', condition: {scope: 'run', at_least: {time_alive: 120}}},
+	marathon: {name: 'Marathon', description: 'Survive 5 minutes in one run', condition: {scope: 'run', at_least: {time_alive: 300}}},
+	boss_slayer: {name: 'Boss Slayer', description: 'Destroy a boss', condition: {scope: 'lifetime', at_least: {bosses_killed: 1}}},
+	untouchable: {name: 'Untouchable', description: 'Kill a boss without taking damage', condition: {untouched: 'boss'}},
+	combo_master: {name: 'Combo Master', description: 'Build a x4 combo', condition: {scope: 'run', at_least: {max_combo: 4}}},
+	sharpshooter: {name: 'Sharpshooter', description: 'Hit with half of 200 shots in one run', condition: {scope: 'run', at_least: {shots_fired: 200, accuracy: .5}}},
+	high_roller: {name: 'High Roller', description: 'Score 20000 in one run', condition: {scope: 'run', at_least: {score: 20000}}},
+	hard_boiled: {name: 'Hard Boiled', description: 'Survive 120 seconds on Hard or Insane', condition: {scope: 'run', at_least: {time_alive: 120}, difficulty: ['hard', 'insane']}},
+	exterminator: {name: 'Exterminator', description: 'Destroy 1000 enemies in total', condition: {scope: 'lifetime', at_least: {enemies_killed: 1000}}},
+	veteran: {name: 'Veteran', description: 'Play for an hour in total', condition: {scope: 'lifetime', at_least: {playtime: 3600}}}
+};
+
+
+/**
+ * Unlocks achievements as their conditions are met and remembers them between sessions. It
+ * watches a world's events for the conditions that hinge on a moment, and check() looks at the
+ * rest every update.
+ *
+ * @typedef Achievements
+ */
+class Achievements {
+	/** @type {Object<String, String>} When each unlocked achievement was unlocked, as ISO strings */
+	unlocked = {};
+
+	/** @type {Function} Called with the name of every achievement as it unlocks, null for nobody */
+	on_unlock = null;
+
+	/** @type {Number} The update a player last got hurt on, -1 for not this run */
+	last_hurt = -1;
+
+	/**
+	 * @param {Lifetime_Stats} stats The stats the conditions look at, they also say if the run counts
+	 * @param {Storage} [storage] Where the unlocks are saved, usually window.localStorage
+	 * @param {String} [key] Key the unlocks are saved under
+	 * @param {Object} [definitions] The achievements, see achievement_definitions
+	 */
+	constructor(stats, storage = null, key = 'space_shooter.achievements', definitions = achievement_definitions) {
+		this.stats = stats;
+		this.storage = storage;
+		this.key = key;
+		this.definitions = definitions;
+
+		const data = readSave(storage, key, ACHIEVEMENTS_VERSION);
+		if (data != null && typeof data == 'object') {
+			// achievements that were since taken out of the game are dropped
+			Object.keys(data).forEach(name => {
+				if (definitions.hasOwnProperty(name) && typeof data[name] == 'string') {
+					this.unlocked[name] = data[name];
+				}
+			});
+		}
+	}
+
+	/**
+	 * @param {String} name A key of the definitions
+	 * @returns {Boolean} true if it was unlocked, this session or before
+	 */
+	isUnlocked(name) {
+		return this.unlocked.hasOwnProperty(name);
+	}
+
+	/**
+	 * Unlocks an achievement, saves it and tells on_unlock. Unlocking one twice does nothing.
+	 *
+	 * @param {String} name A key of the definitions
+	 * @param {Date} [date] When it was unlocked
+	 */
+	unlock(name, date = new Date()) {
+		if (this.isUnlocked(name)) {
+			return;
+		}
+		this.unlocked[name] = date.toISOString();
+		writeSave(this.storage, this.key, ACHIEVEMENTS_VERSION, this.unlocked);
+		if (this.on_unlock != null) {
+			this.on_unlock(name);
+		}
+	}
+
+	/**
+	 * Starts watching a world for the conditions that hinge on a moment.
+	 *
+	 * @param {World} world The world to watch
+	 */
+	watch(world) {
+		// when each body came in, so a kill can tell if anyone was hurt since
+		let spawned_at = new WeakMap();
+
+		world.events.on('gameStarted', () => {
+			spawned_at = new WeakMap();
+			this.last_hurt = -1;
+		});
+		world.events.on('enemySpawned', ({entity}) => {
+			spawned_at.set(entity, world.loop_count);
+		});
+		world.events.on('playerHit', () => {
+			this.last_hurt = world.loop_count;
+		});
+		world.events.on('enemyKilled', ({entity}) => {
+			if (!this.stats.counting) {
+				return;
+			}
+			Object.keys(this.definitions).forEach(name => {
+				const condition = this.definitions[name].condition;
+				if (condition.untouched == entity.kind && spawned_at.get(entity) > this.last_hurt &&
+					this.isDifficulty(condition, world)) {
+					this.unlock(name);
+				}
+			});
+		});
+	}
+
+	/**
+	 * @param {Object} condition A condition of the definitions
+	 * @param {World} world The world being played
+	 * @returns {Boolean} true if the run is on a difficulty the condition counts
+	 */
+	isDifficulty(condition, world) {
+		return condition.difficulty === undefined || condition.difficulty.includes(world.director.difficulty);
+	}
+
+	/**
+	 * Unlocks every achievement whose run or lifetime condition is met right now.
+	 *
+	 * @param {World} world The world being played
+	 */
+	check(world) {
+		if (!this.stats.counting) {
+			return;
+		}
+
+		// only put together once, and only if a run condition is still waiting to be met
+		let results = null;
+		const value = (scope, field) => {
+			const stats = scope == 'run' ? this.stats.run : this.stats.totals;
+			if (field == 'accuracy') {
+				return Lifetime_Stats.accuracy(stats);
+			}
+			if (scope == 'run') {
+				if (results == null) {
+					results = world.results();
+				}
+				// the world has the last word on what it tracks itself, the stats add the rest
+				if (results.hasOwnProperty(field)) {
+					return results[field];
+				}
+			}
+			return stats[field];
+		};
+
+		Object.keys(this.definitions).forEach(name => {
+			const condition = this.definitions[name].condition;
+			if (this.isUnlocked(name) || condition.at_least === undefined || !this.isDifficulty(condition, world)) {
+				return;
+			}
+			if (Object.keys(condition.at_least).every(field => value(condition.scope, field) >= condition.at_least[field])) {
+				this.unlock(name);
+			}
+		});
+	}
+}
+
+// expose the simulation to node, the browser already sees these as globals
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		config,
+		Random,
+		game_events,
+		Event_Bus,
+		Body,
+		Projectile,
+		Player,
+		Enemy,
+		boss_definitions,
+		boss_movements,
+		BossEnemy,
+		Explosion,
+		Score_Popup,
+		attack_patterns,
+		Enemy_Gun,
+		projectile_patterns,
+		player_weapons,
+		player_loadout,
+		Weapon,
+		power_up_types,
+		Power_Up,
+		dropPowerUp,
+		enemy_types,
+		spawn_formations,
+		level_scripts,
+		validateLevelScript,
+		flight_paths,
+		Spline_Path,
+		Formation,
+		Flight,
+		Enemy_Spawner,
+		difficulty_presets,
+		difficulty_scalings,
+		Difficulty_Director,
+		collision_table,
+		buildCollisionLayers,
+		Spatial_Hash,
+		Collision_Handler,
+		particle_effects,
+		Emitter,
+		Particle_System,
+		mixColors,
+		starfield_layers,
+		screen_effects,
+		Camera,
+		World,
+		RECORDING_VERSION,
+		Input_Recorder,
+		Replay_Player,
+		readSave,
+		writeSave,
+		HIGH_SCORE_VERSION,
+		INITIALS_ALPHABET,
+		High_Score_Table,
+		LIFETIME_VERSION,
+		ACHIEVEMENTS_VERSION,
+		Lifetime_Stats,
+		achievement_definitions,
+		Achievements
+	};
+}
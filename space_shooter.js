@@ -5,746 +5,2508 @@
 */
 
 /**
- * This class binds key listeners to the window and updates the controller in attached player body.
+ * Everything the player can do with the controller. Movement actions add mod to an axis of the
+ * controller, button actions set it to true while held.
+ */
+const input_actions = {
+	move_left: {label: 'Move left', state: 'move_x', mod: -1},
+	move_right: {label: 'Move right', state: 'move_x', mod: 1},
+	move_up: {label: 'Move up', state: 'move_y', mod: -1},
+	move_down: {label: 'Move down', state: 'move_y', mod: 1},
+	fire: {label: 'Fire', state: 'action_1'},
+	switch_weapon: {label: 'Switch weapon', state: 'action_2'}
+};
+
+/**
+ * What every action is bound to out of the box, for player one and player two. A binding is a
+ * KeyboardEvent.code like 'KeyA', or 'Button' followed by the index of a button in the standard
+ * gamepad layout. Player one keeps the arrow keys too when playing alone.
+ */
+const default_bindings = [
+	{
+		move_left: ['KeyA', 'ArrowLeft', 'Button14'],
+		move_right: ['KeyD', 'ArrowRight', 'Button15'],
+		move_up: ['KeyW', 'ArrowUp', 'Button12'],
+		move_down: ['KeyS', 'ArrowDown', 'Button13'],
+		fire: ['Space', 'Button0', 'Button7'],
+		switch_weapon: ['KeyE', 'Button1']
+	},
+	{
+		move_left: ['ArrowLeft', 'Button14'],
+		move_right: ['ArrowRight', 'Button15'],
+		move_up: ['ArrowUp', 'Button12'],
+		move_down: ['ArrowDown', 'Button13'],
+		fire: ['Enter', 'NumpadEnter', 'Button0', 'Button7'],
+		switch_weapon: ['ShiftRight', 'Button1']
+	}
+];
+
+/** @type {Number} Version of the saved bindings, bump it when the format changes */
+const BINDINGS_VERSION = 1;
+
+/** @type {Array<String>} Names of the buttons of the standard gamepad layout, by index */
+const gamepad_button_names = [
+	'Pad A', 'Pad B', 'Pad X', 'Pad Y', 'Pad LB', 'Pad RB', 'Pad LT', 'Pad RT',
+	'Pad Back', 'Pad Start', 'Pad L3', 'Pad R3', 'Pad Up', 'Pad Down', 'Pad Left', 'Pad Right'
+];
+
+/**
+ * @param {String} code A binding, see default_bindings
+ * @returns {String} The binding the way it is written on the key or button
+ */
+function bindingName(code) {
+	if (code.startsWith('Button')) {
+		const index = Number(code.slice('Button'.length));
+		return gamepad_button_names[index] || `Pad ${index}`;
+	}
+	if (code.startsWith('Key')) {
+		return code.slice('Key'.length);
+	}
+	if (code.startsWith('Digit')) {
+		return code.slice('Digit'.length);
+	}
+	if (code.startsWith('Arrow')) {
+		return code.slice('Arrow'.length);
+	}
+	return code;
+}
+
+
+/**
+ * This class binds key listeners to the window, polls the gamepad and updates the attached
+ * controller object. Keys and gamepad buttons are looked up through rebindable bindings, the
+ * left stick of the gamepad is read directly. There is one handler per player, player one reads
+ * the first connected gamepad and player two the second.
  *
  * @author Professor Tony
  * @typedef InputHandler
  */
 class InputHandler {
-	key_code_mappings = {
-		button: {
-			32: {key: 'space', state: 'action_1'}
-		},
-		axis: {
-			68: {key: 'right', state: 'move_x', mod: 1},
-			65: {key: 'left', state: 'move_x', mod: -1},
-			87: {key: 'up', state: 'move_y', mod: -1},
-			83: {key: 'down', state: 'move_y', mod: 1}
-		}
-	};
-	player = null;
+	/** @type {Number} Bindings kept per action, binding another drops the oldest */
+	max_bindings = 4;
+
+	/** @type {Number} How far the stick has to be pushed, 0 to 1, before it moves the ship */
+	deadzone = .25;
+
+	/** @type {Object<String, Array<String>>} The bindings of every action */
+	bindings = {};
 
-	constructor(player) {
-		this.player = player;
+	/** @type {Set<String>} Key codes held right now */
+	held_keys = new Set();
+
+	/** @type {Set<String>} Gamepad buttons held on the last poll, as bindings */
+	held_buttons = new Set();
+
+	/** @type {Object} Left stick position after the deadzone, inside the unit circle */
+	stick = {x: 0, y: 0};
+
+	/** @type {Function} Called with {code, repeat} for every gamepad button that goes down */
+	on_button = null;
+
+	/** @type {Object} What the touch controls are asking for, written by Touch_Controls */
+	touch = {move_x: 0, move_y: 0, action_1: false, action_2: false};
+
+	/** @type {InputHandler} The other player's handler in co-op, its keys are left to it */
+	rival = null;
+
+	controller = null;
+
+	/**
+	 * @param {Object} controller The controller to update, usually one shared by the world
+	 * @param {Storage} [storage] Where the bindings are saved, usually window.localStorage
+	 * @param {Number} [index] Which player the handler is for, 0 for player one
+	 */
+	constructor(controller, storage = null, index = 0) {
+		this.controller = controller;
+		this.storage = storage;
+		this.index = index;
+		this.key = index == 0 ? 'space_shooter.bindings' : `space_shooter.bindings.player_${index + 1}`;
+		this.loadBindings(readSave(storage, this.key, BINDINGS_VERSION));
 
 		// bind event listeners
 		window.addEventListener("keydown", (event) => this.keydown(event), false);
 		window.addEventListener("keyup", (event) => this.keyup(event), false);
+		// keyup never arrives for keys let go while the window is in the background
+		window.addEventListener("blur", () => {
+			this.held_keys.clear();
+			this.apply();
+		}, false);
 	}
 
 	/**
-	 * This is called every time a keydown event is thrown on the window.
+	 * Takes the saved bindings, falling back to the defaults for any action that is missing or
+	 * doesn't make sense.
 	 *
-	 * @param {Object} event The keydown event
+	 * @param {Object} saved Bindings read from storage, null if there are none
 	 */
-	keydown(event) {
-		// ignore event handling if they are holding down the button
-		if (event.repeat || event.isComposing || event.keyCode === 229)
-			return;
-
-		// check if axis mapping exists
-		if (this.key_code_mappings.axis.hasOwnProperty(event.keyCode)) {
-			const mapping = this.key_code_mappings.axis[event.keyCode];
-			this.player.controller[mapping.state] += mapping.mod;
-			//console.log(`input_handler[axis:${mapping.state} state:${this.player.controller[mapping.state]}]`);
-		}
+	loadBindings(saved) {
+		Object.keys(input_actions).forEach(action => {
+			const codes = saved != null ? saved[action] : undefined;
+			const valid = Array.isArray(codes) && codes.every(code => typeof code == 'string');
+			this.bindings[action] = (valid ? codes : default_bindings[this.index][action]).slice(0, this.max_bindings);
+		});
+	}
 
-		// check if button mapping exists
-		if (this.key_code_mappings.button.hasOwnProperty(event.keyCode)) {
-			const mapping = this.key_code_mappings.button[event.keyCode];
-			this.player.controller[mapping.state] = true;
-			//console.log(`input_handler[button:${mapping.state} state:${this.player.controller[mapping.state]}]`);
-		}
+	/**
+	 * Writes the bindings to storage so they are still there next time.
+	 */
+	saveBindings() {
+		writeSave(this.storage, this.key, BINDINGS_VERSION, this.bindings);
 	}
 
 	/**
-	 * This is called every time a keyup event is thrown on the window.
+	 * Adds a binding to an action. A key can only do one thing, so it is taken off any other
+	 * action first.
 	 *
-	 * @param {Object} event The keyup event
+	 * @param {String} action A key of input_actions
+	 * @param {String} code A key code or gamepad button, see default_bindings
 	 */
-	keyup(event) {
-		if (event.isComposing || event.keyCode === 229)
-    	return;
-
-		// check if axis mapping exists
-		if (this.key_code_mappings.axis.hasOwnProperty(event.keyCode)) {
-			const mapping = this.key_code_mappings.axis[event.keyCode];
-			this.player.controller[mapping.state] -= mapping.mod;
-			//console.log(`input_handler[axis:${mapping.state} state:${this.player.controller[mapping.state]}]`);
-		}
-
-		// check if button mapping exists
-		if (this.key_code_mappings.button.hasOwnProperty(event.keyCode)) {
-			const mapping = this.key_code_mappings.button[event.keyCode];
-			this.player.controller[mapping.state] = false;
-			//console.log(`input_handler[button:${mapping.state} state:${this.player.controller[mapping.state]}]`);
+	bind(action, code) {
+		Object.keys(this.bindings).forEach(other => {
+			this.bindings[other] = this.bindings[other].filter(bound => bound != code);
+		});
+		const codes = this.bindings[action];
+		codes.push(code);
+		if (codes.length > this.max_bindings) {
+			codes.shift();
 		}
+		this.saveBindings();
 	}
-}
-
-/*
-------------------------------
-------- BODY SECTION  --------
-------------------------------
-*/
-
-/**
- * Represents a basic physics body in the world. It has all of the necessary information to be
- * rendered, checked for collision, updated, and removed.
- *
- * @author Professor Tony
- * @typedef Body
- */
-class Body {
-	position = {x: 0, y: 0};
-	velocity = {x: 0, y: 0};
-	size = {width: 10, height: 10};
-	health = 100;
 
 	/**
-	 * Creates a new body with all of the default attributes
+	 * Takes every binding off an action.
+	 *
+	 * @param {String} action A key of input_actions
 	 */
-	constructor() {
-		// generate and assign the next body id
-		this.id = running_id++;
-		// add to the entity map
-		entities[this.id] = this;
+	clearBindings(action) {
+		this.bindings[action] = [];
+		this.saveBindings();
 	}
 
 	/**
-	 * @type {Object} An object with two properties, width and height. The passed width and height
-	 * are equal to half ot the width and height of this body.
+	 * Puts every action back on its default bindings.
 	 */
-	get half_size() {
-		return {
-			width: this.size.width / 2,
-			height: this.size.height / 2
-		};
+	resetBindings() {
+		this.loadBindings(null);
+		this.saveBindings();
 	}
 
 	/**
-	 * @returns {Boolean} true if health is less than or equal to zero, false otherwise.
+	 * @param {String} action A key of input_actions
+	 * @returns {Boolean} true if any key or gamepad button bound to the action is held
 	 */
-	isDead() {
-		return this.health <= 0;
+	isHeld(action) {
+		return this.bindings[action].some(code => this.held_buttons.has(code) ||
+			// a key both players have bound belongs to the other player in co-op, the gamepads
+			// are separate so their buttons never clash
+			(this.held_keys.has(code) && (this.rival == null || !this.rival.isBound(code))));
 	}
 
 	/**
-	 * Updates the position of this body using the set velocity.
-	 *
-	 * @param {Number} delta_time Seconds since last update
+	 * @param {String} code A key code or gamepad button
+	 * @returns {Boolean} true if the code is bound to any action
 	 */
-	update(delta_time) {
-		// move body
-		this.position.x += delta_time * this.velocity.x;
-		this.position.y += delta_time * this.velocity.y;
+	isBound(code) {
+		return Object.values(this.bindings).some(codes => codes.includes(code));
 	}
 
 	/**
-	 * This function draws a green line in the direction of the body's velocity. The length of this
-	 * line is equal to a tenth of the length of the real velocity
-	 *
-	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * Writes the held keys, buttons, the stick and the touch controls into the controller. Keys and
+	 * the d-pad win over the stick, so their full diagonal still moves at the player's diagonal
+	 * speed, and the stick wins over touch.
 	 */
-	draw(graphics) {
-		graphics.strokeStyle = '#00FF00';
-		graphics.beginPath();
-		graphics.moveTo(this.position.x, this.position.y);
-		graphics.lineTo(this.position.x + this.velocity.x / 10, this.position.y + this.velocity.y / 10);
-		graphics.stroke();
+	apply() {
+		const controller = this.controller;
+		controller.move_x = 0;
+		controller.move_y = 0;
+
+		Object.keys(input_actions).forEach(action => {
+			const mapping = input_actions[action];
+			if (mapping.mod === undefined) {
+				controller[mapping.state] = this.isHeld(action) || this.touch[mapping.state];
+			} else if (this.isHeld(action)) {
+				controller[mapping.state] += mapping.mod;
+			}
+		});
+
+		if (controller.move_x == 0 && controller.move_y == 0) {
+			const analog = this.stick.x != 0 || this.stick.y != 0 ? this.stick : {x: this.touch.move_x, y: this.touch.move_y};
+			controller.move_x = analog.x;
+			controller.move_y = analog.y;
+		}
 	}
 
 	/**
-	 * Marks this body to be removed at the end of the update loop
+	 * Reads this player's gamepad, the first connected one for player one and the second for
+	 * player two. The Gamepad API has no events for buttons or sticks, so this is called once per
+	 * frame.
 	 */
-	remove() {
-		queued_entities_for_removal.push(this.id);
-	}
-}
+	poll() {
+		const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+		const connected = [];
+		for (let i = 0; i < gamepads.length; i++) {
+			if (gamepads[i] != null && gamepads[i].connected) {
+				connected.push(gamepads[i]);
+			}
+		}
+		const gamepad = connected[this.index] || null;
+
+		const held = new Set();
+		this.stick = {x: 0, y: 0};
+		if (gamepad != null) {
+			gamepad.buttons.forEach((button, index) => {
+				if (button.pressed) {
+					held.add(`Button${index}`);
+				}
+			});
+			this.stick = this.readStick(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+		}
 
+		const pressed = [...held].filter(code => !this.held_buttons.has(code));
+		this.held_buttons = held;
+		this.apply();
 
-/**
- * Represents an projectile body to be fired from player position.
- *
- * @author Cameron
- * @typedef Projectile
- */
-class Projectile extends Body {
-	speed = 10;
+		if (this.on_button != null) {
+			pressed.forEach(code => this.on_button({code: code, repeat: false}));
+		}
+	}
 
 	/**
-	 * constructor - creates a new projectile with the same position of the player.
+	 * Applies a radial deadzone to a stick and rescales what is left, so the ship starts moving
+	 * slowly right at the edge of the deadzone instead of jumping to a quarter of its speed.
 	 *
-	 * @param  {Number} x x position of player when fired
-	 * @param  {Number} y y position of player when fired
+	 * @param {Number} x Raw horizontal axis, -1 to 1
+	 * @param {Number} y Raw vertical axis, -1 to 1
+	 * @returns {Object} {x, y} inside the unit circle
 	 */
-	constructor(x, y) {
-		super();
-
-		this.position = {
-			x: x,
-			y: y
-		};
-
-		this.size = {
-			width: 10,
-			height: 20
-		};
+	readStick(x, y) {
+		const length = Math.hypot(x, y);
+		if (length < this.deadzone) {
+			return {x: 0, y: 0};
+		}
+		const scale = Math.min(1, (length - this.deadzone) / (1 - this.deadzone)) / length;
+		return {x: x * scale, y: y * scale};
 	}
 
 	/**
-	 * draw - draws the projectile as a rectangle centered on projectile's location.
+	 * This is called every time a keydown event is thrown on the window.
 	 *
-	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Object} event The keydown event
 	 */
-	draw(graphics) {
-		let img = new Image();
-		img.src = 'sprites/projectile.png';
-		graphics.drawImage(img, this.position.x-this.half_size.width, this.position.y-this.half_size.height, this.size.width, this.size.height);
+	keydown(event) {
+		// ignore event handling if they are holding down the button
+		if (event.repeat || event.isComposing)
+			return;
 
-		// draw velocity lines
-		super.draw(graphics);
+		// the arrow keys and space would scroll the page
+		if (this.isBound(event.code)) {
+			event.preventDefault();
+		}
+		this.held_keys.add(event.code);
+		this.apply();
 	}
 
 	/**
-	 * Updates the position based on the projectiles diag_speed.
-	 * Removes projectile if it goes above the canvas.
+	 * This is called every time a keyup event is thrown on the window.
 	 *
-	 * @param {Number} delta_time Time in seconds since last update call.
+	 * @param {Object} event The keyup event
 	 */
-	update(delta_time) {
-		//move
-		this.position.y-=this.speed;
-		if(this.position.y <= 0){
-			this.remove();
-		}
-
-		// update position
-		super.update(delta_time);
+	keyup(event) {
+		if (event.isComposing)
+			return;
 
-		// clip to screen
-		this.position.x = Math.min(Math.max(0, this.position.x), config.canvas_size.width);
-		this.position.y = Math.min(Math.max(0, this.position.y), config.canvas_size.height);
+		this.held_keys.delete(event.code);
+		this.apply();
 	}
 }
 
 /**
- * Represents a player body. Extends a Body by handling input binding and controller management.
+ * How the touch controls behave.
  *
- * @author Professor Tony, Cory and Cameron
- * @typedef Player
+ * mode:            joystick for a virtual stick and fire button, drag to have the ship follow the
+ *                  finger and fire on its own, picked in the settings menu
+ * stick_radius:    how far the thumb has to move from where it landed for full speed
+ * button_radius:   size of the fire and switch weapon buttons
+ * drag_offset:     how far above the finger the ship sits while dragging, so the finger doesn't
+ *                  cover it
+ * alpha:           opacity of the controls, dropped to faded_alpha while the ship is behind them
  */
-class Player extends Body {
-	// this controller object is updated by the bound input_handler
-	controller = {
-		move_x: 0,
-		move_y: 0,
-		action_1: false
-	};
-	speed = 5;
-	diag_speed = this.speed*Math.cos(Math.PI/4);
-	input_handler = null;
+const touch_settings = {
+	mode: 'joystick',
+	stick_radius: 40,
+	button_radius: 28,
+	drag_offset: 60,
+	alpha: .35,
+	faded_alpha: .1
+};
+
+
+/**
+ * Touch controls for phones and tablets. They write into the input handler's touch state, which
+ * ends up in the same controller the keyboard and gamepad drive. Taps outside of a run are passed
+ * on to on_tap so the menus can be used by touch too, and so are mouse clicks.
+ *
+ * @typedef Touch_Controls
+ */
+class Touch_Controls {
+	/** @type {Boolean} true once a touch device was detected or the canvas was touched */
+	enabled = false;
+
+	/** @type {Object} The touch steering, {id, origin, position} or null */
+	steering = null;
+
+	/** @type {Object<Number, String>} Touches holding a button, by touch id: 'fire' or 'switch' */
+	pressing = {};
+
+	/** @type {Function} Called with {code, repeat, point} when the canvas is tapped outside of a run */
+	on_tap = null;
+
+	/** @type {Function} Returns true while a run is being played and the controls are live */
+	is_playing = () => false;
 
 	/**
-	 * Creates a new player with the default attributes.
+	 * @param {HTMLCanvasElement} canvas The canvas to listen on
+	 * @param {InputHandler} input_handler Where to write what the touches ask for
 	 */
-	constructor() {
-		super();
+	constructor(canvas, input_handler) {
+		this.canvas = canvas;
+		this.input_handler = input_handler;
+		this.enabled = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+
+		// passive: false so preventDefault can stop the page from scrolling and zooming
+		const options = {passive: false};
+		canvas.addEventListener('touchstart', (event) => this.touchstart(event), options);
+		canvas.addEventListener('touchmove', (event) => this.touchmove(event), options);
+		canvas.addEventListener('touchend', (event) => this.touchend(event), options);
+		canvas.addEventListener('touchcancel', (event) => this.touchend(event), options);
+		canvas.addEventListener('mousedown', (event) => this.mousedown(event), false);
+	}
 
-		// bind the input handler to this object
-		this.input_handler = new InputHandler(this);
-		this.time_since_fired = 0;
+	/** @type {Object} Center of the fire button in playfield space */
+	get fire_button() {
+		const radius = touch_settings.button_radius;
+		return {x: config.canvas_size.width - radius - 12, y: config.canvas_size.height - radius - 30};
+	}
 
-		// we always want our new players to be at this location
-		this.position = {
-			x: config.canvas_size.width / 2,
-			y: config.canvas_size.height - 100
-		};
+	/** @type {Object} Center of the switch weapon button, above the fire button */
+	get switch_button() {
+		const fire = this.fire_button;
+		return {x: fire.x, y: fire.y - touch_settings.button_radius * 2 - 16};
+	}
 
-		this.size = {
-			width: 20,
-			height: 20
-		};
+	/** @type {Object} Center of the pause button in the top right corner, under the hud */
+	get pause_button() {
+		return {x: config.canvas_size.width - 20, y: 60};
 	}
 
 	/**
-	 * Draws the player as a triangle centered on the player's location.
-	 *
-	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Object} point A point in playfield space
+	 * @param {Object} center Center of a round button
+	 * @param {Number} radius Radius of the button
+	 * @returns {Boolean} true if the point is on the button
 	 */
-	draw(graphics) {
-		let img = new Image();
-		img.src = 'sprites/player.png';
-		graphics.drawImage(img, this.position.x-this.half_size.width, this.position.y-this.half_size.height, this.size.width, this.size.height);
-
-		// draw velocity lines
-		super.draw(graphics);
+	static isOn(point, center, radius) {
+		return Math.hypot(point.x - center.x, point.y - center.y) <= radius;
 	}
 
 	/**
-	 * Updates the player given the state of the player's controller.
-	 *
-	 * @param {Number} delta_time Time in seconds since last update call.
+	 * @param {Object} event A touch event
 	 */
-	update(delta_time) {
-			//Player Movement
-			//update position by diagnal speed if headed in a diagnal
-			if(this.controller.move_x != 0 && this.controller.move_y != 0){
-				this.position.x += this.controller.move_x*this.diag_speed;
-				this.position.y += this.controller.move_y*this.diag_speed;
-			}
-			//otherwise use regular speed to update
-			else{
-				this.position.x += this.controller.move_x*this.speed;
-				this.position.y += this.controller.move_y*this.speed;
-			}
+	touchstart(event) {
+		event.preventDefault();
+		this.enabled = true;
 
-			//Collision stuff
-			//die after health is 0 collisions
-			if(this.isDead()){
-				this.remove();
-				if(firstGame){
-					firstGame = false;
-				}
-				if(score > HighScore){
-					HighScore = score;
+		for (const touch of event.changedTouches) {
+			const point = toPlayfield(touch.clientX, touch.clientY);
+
+			if (!this.is_playing()) {
+				if (this.on_tap != null) {
+					this.on_tap({code: 'Touch', repeat: false, point});
 				}
-				start();
+				continue;
 			}
 
-			//Combat
-			this.time_since_fired += delta_time;
-			if(this.controller.action_1){
-				if(this.time_since_fired >= .1){
-					//reset the timer
-					this.time_since_fired = 0;
-					//fire
-					new Projectile(this.position.x, this.position.y);
+			if (Touch_Controls.isOn(point, this.pause_button, 16)) {
+				if (this.on_tap != null) {
+					this.on_tap({code: 'TouchPause', repeat: false});
 				}
+				continue;
 			}
 
-		// update position
-		super.update(delta_time);
-
-		// clip to screen
-		this.position.x = Math.min(Math.max(0, this.position.x), config.canvas_size.width);
-		this.position.y = Math.min(Math.max(0, this.position.y), config.canvas_size.height);
+			const radius = touch_settings.button_radius;
+			if (touch_settings.mode == 'joystick' && Touch_Controls.isOn(point, this.fire_button, radius)) {
+				this.pressing[touch.identifier] = 'fire';
+			} else if (Touch_Controls.isOn(point, this.switch_button, radius)) {
+				this.pressing[touch.identifier] = 'switch';
+			} else if (this.steering == null) {
+				// the stick is centered wherever the thumb lands
+				this.steering = {id: touch.identifier, origin: point, position: point};
+			}
+		}
+		this.update();
 	}
-}
 
-
-/**
- * Represents an enemy body. Extends body by handling speed and position
- *
- * @author Cory and Cameron 
- * @typedef Enemy
- */
-class Enemy extends Body {
 	/**
-	 * Creates a new enemy with the default attributes.
+	 * @param {Object} event A touch event
 	 */
-	constructor(speed) {
-		super();
-
-		this.speed = speed;
-		// enemies spawn above canvos at a random x
-		this.position = {
-			x: Math.random()*config.canvas_size.width,
-			y: -50
-		};
-
-		this.size = {
-			width: 20,
-			height: 20
-		};
+	touchmove(event) {
+		event.preventDefault();
+		for (const touch of event.changedTouches) {
+			if (this.steering != null && touch.identifier == this.steering.id) {
+				this.steering.position = toPlayfield(touch.clientX, touch.clientY);
+			}
+		}
+		this.update();
 	}
 
 	/**
-	 * Draws the enemy as a red triangle around the enemies position.
-	 *
-	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Object} event A touch event
 	 */
-	draw(graphics) {
-		let img = new Image();
-		img.src = 'sprites/enemy.png';
-		graphics.drawImage(img, this.position.x-this.half_size.width, this.position.y-this.half_size.height, this.size.width, this.size.height);
-
-		// draw velocity lines
-		super.draw(graphics);
+	touchend(event) {
+		event.preventDefault();
+		for (const touch of event.changedTouches) {
+			if (this.steering != null && touch.identifier == this.steering.id) {
+				this.steering = null;
+			}
+			delete this.pressing[touch.identifier];
+		}
+		this.update();
 	}
 
 	/**
-	 * Updates the enemy based on its speed.
+	 * Clicks go through the menus like taps, and hit the pause button while it is shown. Clicks on
+	 * the bars around the playfield are left alone.
 	 *
-	 * @param {Number} delta_time Time in seconds since last update call.
+	 * @param {MouseEvent} event A mouse event
 	 */
-	update(delta_time) {
-		this.position.y += this.speed;
-		if(this.position.y >= config.canvas_size.height){
-			super.remove()
+	mousedown(event) {
+		const point = toPlayfield(event.clientX, event.clientY);
+		if (this.on_tap == null || !isInPlayfield(point)) {
+			return;
 		}
-		// update position
-		super.update(delta_time);
-		// clip to screen
-		this.position.x = Math.min(Math.max(0, this.position.x), config.canvas_size.width);
-		this.position.y = Math.min(Math.max(0, this.position.y), config.canvas_size.height);
-	}
-}
 
+		if (!this.is_playing()) {
+			this.on_tap({code: 'Touch', repeat: false, point});
+		} else if (this.enabled && Touch_Controls.isOn(point, this.pause_button, 16)) {
+			this.on_tap({code: 'TouchPause', repeat: false});
+		}
+	}
 
-/**
- * Represents a boss enemy body. Extends the enemy by adding health utilization
- *
- * @author Cory
- * @typedef BossEnemy
- */
-class BossEnemy extends Body {
 	/**
-	 * Creates a new boss enemy with the default attributes.
+	 * Works out the controller values for the current touches. Called on every touch event and
+	 * once per frame, since dragging steers toward the finger while the ship keeps moving.
 	 */
-	constructor(speed) {
-		super();
-
-		this.speed = speed;
-		// enemies spawn above canvos at a random x
-		this.position = {
-			x: Math.random()*config.canvas_size.width,
-			y: -50
-		};
-		this.size = {
-			width: 25,
-			height: 40
-		};
-		this.health = 1000;
+	update() {
+		const touch = this.input_handler.touch;
+		const pressing = Object.values(this.pressing);
+		touch.move_x = 0;
+		touch.move_y = 0;
+		touch.action_1 = pressing.includes('fire');
+		touch.action_2 = pressing.includes('switch');
+
+		if (this.steering != null && this.is_playing()) {
+			let x;
+			let y;
+			if (touch_settings.mode == 'drag') {
+				// head for the spot above the finger, at full speed until close enough to slow down
+				const player = world.player;
+				const target = this.steering.position;
+				x = player != null ? (target.x - player.position.x) / player.speed : 0;
+				y = player != null ? (target.y - touch_settings.drag_offset - player.position.y) / player.speed : 0;
+				touch.action_1 = true;
+			} else {
+				x = (this.steering.position.x - this.steering.origin.x) / touch_settings.stick_radius;
+				y = (this.steering.position.y - this.steering.origin.y) / touch_settings.stick_radius;
+			}
+			// keep it inside the unit circle like a real stick
+			const length = Math.hypot(x, y);
+			touch.move_x = length > 1 ? x / length : x;
+			touch.move_y = length > 1 ? y / length : y;
+		}
+		this.input_handler.apply();
 	}
 
 	/**
-	 * Draws the boss enemy as a purple triangle around the enemies position.
+	 * Draws a round control, fading it out further while the ship is behind it.
 	 *
 	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Object} center Center of the control
+	 * @param {Number} radius Radius of the control
+	 * @param {String} label Text in the middle, may be empty
+	 * @param {Boolean} filled true to draw it held down
 	 */
-	draw(graphics) {
-		let img = new Image();
-		img.src = 'sprites/bossenemy.png';
-		graphics.drawImage(img, this.position.x-this.half_size.width, this.position.y-this.half_size.height, this.size.width, this.size.height);
-
-		graphics.strokeStyle = '#9400D3';
+	drawControl(graphics, center, radius, label, filled) {
+		const player = world.player;
+		const covers = player != null &&
+			Touch_Controls.isOn(player.position, center, radius + Math.max(player.size.width, player.size.height) / 2);
+
+		graphics.save();
+		graphics.globalAlpha = covers ? touch_settings.faded_alpha : touch_settings.alpha;
+		graphics.fillStyle = '#FFFFFF';
+		graphics.strokeStyle = '#FFFFFF';
+		graphics.lineWidth = 2;
 		graphics.beginPath();
-		graphics.moveTo(
-			this.position.x,
-			this.position.y + this.half_size.height
-		);
-		graphics.lineTo(
-			this.position.x + this.half_size.width,
-			this.position.y - this.half_size.height
-		);
-		graphics.lineTo(
-			this.position.x - this.half_size.width,
-			this.position.y - this.half_size.height
-		);
-		graphics.lineTo(
-			this.position.x,
-			this.position.y + this.half_size.height
-		);
+		graphics.arc(center.x, center.y, radius, 0, 2 * Math.PI);
+		if (filled) {
+			graphics.fill();
+		}
 		graphics.stroke();
-		// draw velocity lines
-		super.draw(graphics);
-	}
 
-	/**
-	 * Updates the boss enemy based on its speed.
-	 *
-	 * @param {Number} delta_time Time in seconds since last update call.
-	 */
-	update(delta_time) {
-		this.position.y += this.speed;
-		if(this.position.y >= config.canvas_size.height){
-			super.remove()
-		}
-		// update position
-		super.update(delta_time);
-		// clip to screen
-		this.position.x = Math.min(Math.max(0, this.position.x), config.canvas_size.width);
-		this.position.y = Math.min(Math.max(0, this.position.y), config.canvas_size.height);
+		graphics.fillStyle = filled ? '#000000' : '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.textBaseline = "middle";
+		graphics.font = "12px Arial";
+		graphics.fillText(label, center.x, center.y);
+		graphics.restore();
 	}
-}
-
-
-/**
- * An object that spawns new enemy waves
- *
- * @author Cody and Cameron
- * @typedef Enemy_Spawner
- */
-class Enemy_Spawner {
 
 	/**
-	 * constructor - creates a new enemy_spawner
+	 * Draws the controls over the playfield. Only drawn on touch devices during a run.
 	 *
-	 * @param  {Number} enemies     Number of enemies spawned per wave
-	 * @param  {Number} timeBetween Time between waves
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
 	 */
-	constructor(enemies, timeBetween){
-		this.enemies = enemies;
-		this.time_between = timeBetween;
-		this.time_since_spawn = 0;
-		this.bossSpawn = false;
-		this.bossTimer = 0;
-	}
+	draw(graphics) {
+		if (!this.enabled) {
+			return;
+		}
 
-	/**
-	 * update - updates the enemy_spawner, spawning more enemies or waiting for next wave timer
-	 *
-	 * @param  {Number} delta_time tine in seconds since last update call
-	 */
-	update(delta_time) {
-		this.time_since_spawn+=delta_time;
-		if(this.time_since_spawn >= this.time_between){
-			this.time_since_spawn = 0;
-			let i;
-			for(i=0; i<this.enemies; i++){
-				if(this.bossSpawn){
-					new BossEnemy(1);
-					new BossEnemy(2);
-					bossesSpawned++;
-					bossesSpawned++;
-					this.bossSpawn = false;
-					//console.log(this.bossSpawn);
-				}
-				else{
-					new Enemy(2);
-					this.bossTimer++;
-					enemiesSpawned++;
-					//console.log(this.bossTimer);
-					if(this.bossTimer == 10)
-					{
-						this.bossSpawn = true;
-						this.bossTimer = 0;
-						//console.log(this.bossSpawn);
-					}
-				}
+		const pressing = Object.values(this.pressing);
+		const radius = touch_settings.button_radius;
+		this.drawControl(graphics, this.pause_button, 14, 'II', false);
+		this.drawControl(graphics, this.switch_button, radius * .75, 'W', pressing.includes('switch'));
+		if (touch_settings.mode == 'joystick') {
+			this.drawControl(graphics, this.fire_button, radius, 'FIRE', pressing.includes('fire'));
+			if (this.steering != null) {
+				this.drawControl(graphics, this.steering.origin, touch_settings.stick_radius, '', false);
+				this.drawControl(graphics, this.steering.position, 12, '', true);
 			}
 		}
 	}
 }
 
-
-/**
- * Handles collisions between 2 bodies
- *
- * @author Cody and Cameron
- * @typedef Collision_Handler
- */
-class Collision_Handler {
-
-	/**
-	 * constructor - creates a new collision_handler
-	 *
-	 */
-	constructor(){
-		this.ent = entities;
-	}
-
-	/**
-	 * update - performs a check to see if 2 bodys have collided, updating the bodies if necessary
-	 *
-	 */
-	update(){
-		this.ent.forEach(e1 => {
-			this.ent.forEach(e2 => {
-				if(e1 != e2){
-					if(e1.position.x - e1.half_size.width < e2.position.x + e2.half_size.width &&
-						e1.position.x + e1.half_size.width > e2.position.x - e2.half_size.width &&
-						e1.position.y - e1.half_size.height < e2.position.y + e2.half_size.height &&
-						e1.position.y + e1.half_size.height > e2.position.y - e2.half_size.height){
-							if(e1 instanceof Player){
-								if(e2 instanceof Enemy){
-									e1.health -= 25;
-								}
-								if(e2 instanceof BossEnemy){
-									e1.health -= 100;
-								}
-							}
-							if(e1 instanceof Enemy){
-								if(e2 instanceof Player || e2 instanceof Projectile){
-									e1.health -= 100;
-									if(e1.health <= 0){
-										e1.remove();
-										enemiesKilled++;
-									}
-								}
-							}
-							if(e1 instanceof BossEnemy){
-								if(e2 instanceof Projectile){
-									e1.health -= 7;
-									//console.log("Boss hit once.");
-									if(e1.health <= 0){
-										e1.remove();
-										enemiesKilled++;
-										bossesKilled++;
-									}
-									else{
-										e2.remove()
-									}
-								}
-							}
-							if(e1 instanceof BossEnemy){
-								if(e2 instanceof Projectile){
-									e1.health -= 100;
-									//console.log("Boss hit once.");
-									if(e1.health <= 0){
-										e1.remove();
-										enemiesKilled++;
-										bossesKilled++;
-									}
-								}
-							}
-					}
-				}
-			});
-		});
-	}
-}
-
 /*
 ------------------------------
------- CONFIG SECTION --------
+------ CANVAS SECTION --------
 ------------------------------
 */
 
-const config = {
-	graphics: {
-		// set to false if you are not using a high resolution monitor
-		is_hi_dpi: true
-	},
-	canvas_size: {
-		width: 300,
-		height: 500
-	},
-	update_rate: {
-		fps: 60,
-		seconds: null
-	}
-};
-
-config.update_rate.seconds = 1 / config.update_rate.fps;
-
 // grab the html span
 const game_state = document.getElementById('game_state');
 
 // grab the html canvas
 const game_canvas = document.getElementById('game_canvas');
-game_canvas.style.width = `${config.canvas_size.width}px`;
-game_canvas.style.height = `${config.canvas_size.height}px`;
 
 const graphics = game_canvas.getContext('2d');
 
-// for monitors with a higher dpi
-if (config.graphics.is_hi_dpi) {
-	game_canvas.width = 2 * config.canvas_size.width;
-	game_canvas.height = 2 * config.canvas_size.height;
-	graphics.scale(2, 2);
-} else {
-	game_canvas.width = config.canvas_size.width;
-	game_canvas.height = config.canvas_size.height;
-	graphics.scale(1, 1);
-}
-
-/*
-------------------------------
-------- MAIN SECTION  --------
-------------------------------
-*/
-
-/** @type {Number} last frame time in seconds */
-var last_time = null;
-
-/** @type {Number} A counter representing the number of update calls */
-var loop_count = 0;
-
-/** @type {Number} A counter that is used to assign bodies a unique identifier */
-var running_id = 0;
-
-/** @type {Object<Number, Body>} This is a map of body ids to body instances */
-var entities = null;
-
-/** @type {Array<Number>} This is an array of body ids to remove at the end of the update */
-var queued_entities_for_removal = null;
-
-/** @type {Player} The active player */
-var player = null;
-
-/* You must implement this, assign it a value in the start() function */
-var enemy_spawner = null;
-
-/* You must implement this, assign it a value in the start() function */
-var collision_handler = null;
+/** @type {Number} Css pixels kept free under and beside the canvas when it is fit to the window */
+const fit_margin = 40;
 
 /**
- * This function updates the state of the world given a delta time.
+ * Where the playfield sits on the canvas, kept up to date by resizeCanvas(). The canvas can be
+ * bigger than the playfield in fullscreen, the rest of it is left black on either side.
  *
- * @param {Number} delta_time Time since last update in seconds.
+ * width, height: size of the canvas in css pixels
+ * left, top:     css pixels from the corner of the canvas to the corner of the playfield
+ * scale:         css pixels per playfield pixel
+ * ratio:         canvas pixels per css pixel
  */
-function update(delta_time) {
-	// move entities
-	Object.values(entities).forEach(entity => {
-		entity.update(delta_time);
-	});
-
-	// detect and handle collision events
-	if (collision_handler != null) {
-		collision_handler.update(delta_time);
-	}
-
-	// remove enemies
-	queued_entities_for_removal.forEach(id => {
-		delete entities[id];
-	})
-	queued_entities_for_removal = [];
-
-	// spawn enemies
-	if (enemy_spawner != null) {
-		enemy_spawner.update(delta_time);
-	}
+const viewport = {width: 0, height: 0, left: 0, top: 0, scale: 1, ratio: 1};
 
-	// allow the player to restart when dead
-	//if (player.isDead() && player.controller.action_1) {
-	// 	start();
-	//}
-	// if (player.isDead() && player.controller.action_1) {
-	// 	start();
-	// }
+/**
+ * @returns {Boolean} true while the canvas has the whole screen to itself
+ */
+function isFullscreen() {
+	return (document.fullscreenElement || document.webkitFullscreenElement) === game_canvas;
 }
 
 /**
- * This function draws the state of the world to the canvas.
- *
- * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @returns {Number} Css pixels of the window's width the stat panels beside the canvas leave for
+ * it, never less than half the playfield so a narrow window still shows something
  */
-function draw(graphics) {
+function widthForCanvas() {
+	let width = window.innerWidth - fit_margin;
+	document.querySelectorAll('#game_wrapper .statsScreen').forEach(panel => {
+		const style = window.getComputedStyle(panel);
+		width -= panel.offsetWidth + parseFloat(style.marginLeft) + parseFloat(style.marginRight);
+	});
+	return Math.max(width, config.canvas_size.width / 2);
+}
+
+/**
+ * Sizes the canvas for config.graphics and the window. In a window it is the playfield shown scale
+ * times bigger, or as big as fits next to the stat panels. In fullscreen it covers the screen and
+ * the playfield is as big as fits in the middle. The canvas holds pixel_ratio canvas pixels for
+ * every css pixel, so text and sprites stay sharp on high dpi monitors, while everything is still
+ * drawn in playfield coordinates.
+ */
+function resizeCanvas() {
+	const playfield = config.canvas_size;
+	const fit = (width, height) => Math.min(width / playfield.width, height / playfield.height);
+
+	if (isFullscreen()) {
+		viewport.width = window.innerWidth;
+		viewport.height = window.innerHeight;
+		viewport.scale = fit(viewport.width, viewport.height);
+	} else {
+		viewport.scale = config.graphics.scale || fit(widthForCanvas(), window.innerHeight - fit_margin);
+		viewport.width = playfield.width * viewport.scale;
+		viewport.height = playfield.height * viewport.scale;
+	}
+	viewport.left = (viewport.width - playfield.width * viewport.scale) / 2;
+	viewport.top = (viewport.height - playfield.height * viewport.scale) / 2;
+	viewport.ratio = config.graphics.pixel_ratio || window.devicePixelRatio || 1;
+
+	game_canvas.style.width = `${viewport.width}px`;
+	game_canvas.style.height = `${viewport.height}px`;
+	game_canvas.width = Math.round(viewport.width * viewport.ratio);
+	game_canvas.height = Math.round(viewport.height * viewport.ratio);
+	// resizing the canvas resets its transform
+	const scale = viewport.scale * viewport.ratio;
+	graphics.setTransform(scale, 0, 0, scale, viewport.left * viewport.ratio, viewport.top * viewport.ratio);
+}
+
+/**
+ * Resizes the canvas whenever the device pixel ratio changes, like when the window is dragged to
+ * a monitor with another dpi or the page is zoomed. A media query only matches one ratio, so a
+ * new one is made for every change.
+ */
+function watchPixelRatio() {
+	const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+	query.addEventListener('change', () => {
+		resizeCanvas();
+		watchPixelRatio();
+	}, {once: true});
+}
+
+/**
+ * Gives the canvas the whole screen, or gives it back.
+ */
+function toggleFullscreen() {
+	if (isFullscreen()) {
+		(document.exitFullscreen || document.webkitExitFullscreen).call(document);
+		return;
+	}
+
+	const request = game_canvas.requestFullscreen || game_canvas.webkitRequestFullscreen;
+	if (request === undefined) {
+		console.warn('Fullscreen is not supported by this browser');
+		return;
+	}
+	// older browsers return nothing instead of a promise
+	const result = request.call(game_canvas);
+	if (result !== undefined) {
+		result.catch(error => console.warn(`Could not go fullscreen, ${error.message}`));
+	}
+}
+
+resizeCanvas();
+watchPixelRatio();
+window.addEventListener('resize', resizeCanvas, false);
+document.addEventListener('fullscreenchange', resizeCanvas, false);
+document.addEventListener('webkitfullscreenchange', resizeCanvas, false);
+
+/**
+ * Turns a point on the page, like the position of a touch, into playfield coordinates.
+ *
+ * @param {Number} client_x Horizontal position in css pixels from the left of the viewport
+ * @param {Number} client_y Vertical position in css pixels from the top of the viewport
+ * @returns {Object} {x, y} in playfield space
+ */
+function toPlayfield(client_x, client_y) {
+	// the rect is measured as shown, so this holds up under css transforms and page zoom
+	const rect = game_canvas.getBoundingClientRect();
+	const x = (client_x - rect.left) / rect.width * viewport.width;
+	const y = (client_y - rect.top) / rect.height * viewport.height;
+	return {
+		x: (x - viewport.left) / viewport.scale,
+		y: (y - viewport.top) / viewport.scale
+	};
+}
+
+/**
+ * @param {Object} point {x, y} in playfield space
+ * @returns {Boolean} true if the point is on the playfield, not on the bars beside it
+ */
+function isInPlayfield(point) {
+	return point.x >= 0 && point.x <= config.canvas_size.width && point.y >= 0 && point.y <= config.canvas_size.height;
+}
+
+/*
+------------------------------
+----- SETTINGS SECTION -------
+------------------------------
+*/
+
+/** @type {Number} Version of the saved settings, bump it when the format changes */
+const SETTINGS_VERSION = 1;
+
+/**
+ * @param {Boolean} value A setting that is on or off
+ * @returns {String} on or off
+ */
+function onOff(value) {
+	return value ? 'on' : 'off';
+}
+
+/**
+ * @param {Number} value A volume, 0 to 1
+ * @returns {String} The volume as a percentage
+ */
+function percent(value) {
+	return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Every option of the settings menu, in the order the menu lists them. A setting is a choice out
+ * of options or a number in a range:
+ *
+ * label:   name shown in the menu
+ * group:   heading the setting is listed under
+ * options: the values it can take, for a choice
+ * range:   {min, max, step} for a number, instead of options
+ * default: the value it has until the player changes it, and again after a reset
+ * format:  turns a value into the text shown for it, leave out to show the value as it is
+ * apply:   puts a value into effect, called at load and whenever the value changes
+ */
+const setting_definitions = {
+	display_scale: {
+		label: 'Display scale', group: 'Display', options: ['fit', 1, 1.5, 2, 3], default: 'fit',
+		format: value => value == 'fit' ? 'fit window' : `x${value}`,
+		apply: value => {
+			config.graphics.scale = value == 'fit' ? null : value;
+			resizeCanvas();
+		}
+	},
+	pixel_ratio: {
+		label: 'Resolution', group: 'Display', options: ['auto', 1, 2, 3], default: 'auto',
+		format: value => value == 'auto' ? `auto (x${window.devicePixelRatio || 1})` : `x${value}`,
+		apply: value => {
+			config.graphics.pixel_ratio = value == 'auto' ? null : value;
+			resizeCanvas();
+		}
+	},
+	fps: {
+		label: 'Frame rate', group: 'Display', options: [30, 60], default: 60,
+		format: value => `${value} fps`,
+		apply: value => config.graphics.fps = value
+	},
+	particles: {
+		label: 'Particles', group: 'Display', options: [true, false], default: true, format: onOff,
+		apply: value => config.particles.enabled = value
+	},
+	canvas_hud: {
+		label: 'Hud on the playfield', group: 'Display', options: [true, false], default: true, format: onOff,
+		apply: value => config.hud.canvas = value
+	},
+	side_panel: {
+		label: 'Stats beside the playfield', group: 'Display', options: [true, false], default: true, format: onOff,
+		apply: value => config.hud.side_panel = value
+	},
+	master_volume: {
+		label: 'Master volume', group: 'Sound', range: {min: 0, max: 1, step: .1}, default: audio_settings.master,
+		format: percent,
+		apply: value => audio.setVolume('master', value)
+	},
+	sfx_volume: {
+		label: 'Effects volume', group: 'Sound', range: {min: 0, max: 1, step: .1}, default: audio_settings.sfx,
+		format: percent,
+		apply: value => audio.setVolume('sfx', value)
+	},
+	music_volume: {
+		label: 'Music volume', group: 'Sound', range: {min: 0, max: 1, step: .1}, default: audio_settings.music,
+		format: percent,
+		apply: value => audio.setVolume('music', value)
+	},
+	muted: {
+		label: 'Mute (m)', group: 'Sound', options: [false, true], default: audio_settings.muted, format: onOff,
+		apply: value => audio.setMuted(value)
+	},
+	difficulty: {
+		label: 'Difficulty (x)', group: 'Game', options: Object.keys(difficulty_presets), default: 'normal',
+		format: value => difficulty_presets[value].name.toLowerCase(),
+		apply: value => world.difficulty = value
+	},
+	difficulty_scaling: {
+		label: 'Difficulty scaling (z)', group: 'Game', options: difficulty_scalings, default: 'fixed',
+		apply: value => world.difficulty_scaling = value
+	},
+	touch_mode: {
+		label: 'Touch controls', group: 'Controls', options: ['joystick', 'drag'], default: 'joystick',
+		format: value => value == 'drag' ? 'drag the ship' : 'stick and button',
+		apply: value => touch_settings.mode = value
+	},
+	screen_shake: {
+		label: 'Screen shake', group: 'Accessibility', options: [true, false], default: true, format: onOff,
+		apply: value => config.effects.screen_shake = value
+	},
+	damage_flash: {
+		label: 'Flash when hurt', group: 'Accessibility', options: [true, false], default: true, format: onOff,
+		apply: value => config.effects.damage_flash = value
+	},
+	starfield: {
+		label: 'Moving stars', group: 'Accessibility', options: [true, false], default: true, format: onOff,
+		apply: value => config.effects.starfield = value
+	},
+	fps_counter: {
+		label: 'Frame rate counter', group: 'Debug', options: [false, true], default: false, format: onOff,
+		apply: value => config.debug.fps_counter = value
+	},
+	hitboxes: {
+		label: 'Hitboxes', group: 'Debug', options: [false, true], default: false, format: onOff,
+		apply: value => config.debug.hitboxes = value
+	}
+};
+
+
+/**
+ * The player's settings. Saved values are checked against their definitions when they are loaded
+ * and every change is applied and saved right away.
+ *
+ * @typedef Settings
+ */
+class Settings {
+	/** @type {Object<String, *>} The current value of every setting */
+	values = {};
+
+	/**
+	 * Loads the saved settings, any that are missing or invalid start at their default. Nothing
+	 * is applied until apply() is called.
+	 *
+	 * @param {Object} definitions The settings, see setting_definitions
+	 * @param {Storage} [storage] Where the settings are saved, usually window.localStorage
+	 * @param {String} [key] Key the settings are saved under
+	 */
+	constructor(definitions, storage = null, key = 'space_shooter.settings') {
+		this.definitions = definitions;
+		this.storage = storage;
+		this.key = key;
+
+		const saved = readSave(storage, key, SETTINGS_VERSION);
+		Object.keys(definitions).forEach(name => {
+			const value = saved != null && typeof saved == 'object' ? saved[name] : undefined;
+			this.values[name] = Settings.isValid(definitions[name], value) ? value : definitions[name].default;
+		});
+	}
+
+	/**
+	 * @param {Object} definition A setting, see setting_definitions
+	 * @param {*} value A value it might take
+	 * @returns {Boolean} true if the setting can take the value
+	 */
+	static isValid(definition, value) {
+		if (definition.range !== undefined) {
+			return Number.isFinite(value) && value >= definition.range.min && value <= definition.range.max;
+		}
+		return definition.options.includes(value);
+	}
+
+	/**
+	 * Puts every setting into effect.
+	 */
+	apply() {
+		Object.keys(this.definitions).forEach(name => this.definitions[name].apply(this.values[name]));
+	}
+
+	/**
+	 * Changes a setting, applies it and saves.
+	 *
+	 * @param {String} name A key of the definitions
+	 * @param {*} value The new value
+	 */
+	set(name, value) {
+		const definition = this.definitions[name];
+		if (definition === undefined) {
+			throw new Error(`Settings: unknown setting ${name}`);
+		}
+		if (!Settings.isValid(definition, value)) {
+			throw new Error(`Settings: ${value} is not a valid ${name}`);
+		}
+		this.values[name] = value;
+		definition.apply(value);
+		this.save();
+	}
+
+	/**
+	 * Moves a setting to its next or previous value. Choices wrap around, numbers stop at the ends
+	 * of their range.
+	 *
+	 * @param {String} name A key of the definitions
+	 * @param {Number} direction 1 for the next value, -1 for the previous one
+	 */
+	step(name, direction) {
+		const definition = this.definitions[name];
+		const value = this.values[name];
+		if (definition.range !== undefined) {
+			const {min, max, step} = definition.range;
+			// keep steps of .1 from drifting into .30000000000000004
+			const next = Math.round((value + direction * step) / step) * step;
+			this.set(name, Math.min(Math.max(Number(next.toFixed(6)), min), max));
+			return;
+		}
+		const options = definition.options;
+		this.set(name, options[(options.indexOf(value) + direction + options.length) % options.length]);
+	}
+
+	/**
+	 * @param {String} name A key of the definitions
+	 * @returns {String} The current value the way the menu shows it
+	 */
+	format(name) {
+		const definition = this.definitions[name];
+		return definition.format ? definition.format(this.values[name]) : String(this.values[name]);
+	}
+
+	/**
+	 * Puts every setting back to its default, applies them and saves.
+	 */
+	reset() {
+		Object.keys(this.definitions).forEach(name => {
+			this.values[name] = this.definitions[name].default;
+		});
+		this.apply();
+		this.save();
+	}
+
+	/**
+	 * Writes the settings to storage so they are still there next time.
+	 */
+	save() {
+		writeSave(this.storage, this.key, SETTINGS_VERSION, this.values);
+	}
+}
+
+/*
+------------------------------
+------- STATE SECTION --------
+------------------------------
+*/
+
+/**
+ * Keys the game states listen for, as KeyboardEvent.code values. Gamepad buttons show up as
+ * 'Button' plus their index and taps on the canvas as 'Touch' (or 'TouchPause' for the pause
+ * button), so the menus work from the gamepad and touch screens too. A 'Touch' event also carries
+ * the point it landed on in playfield space, for screens with buttons of their own.
+ *
+ * @type {Object<String, Array<String>>}
+ */
+const state_keys = {
+	confirm: ['Space', 'Enter', 'NumpadEnter', 'Button0', 'Button9', 'Touch'],
+	escape: ['Escape', 'Button8'],
+	pause: ['KeyP', 'Button9', 'TouchPause', 'Touch'],
+	level_script: ['KeyL'],
+	high_scores: ['KeyH'],
+	achievements: ['KeyT'],
+	controls: ['KeyC'],
+	settings: ['KeyO'],
+	co_op: ['Digit2', 'Numpad2'],
+	difficulty: ['KeyX'],
+	difficulty_scaling: ['KeyZ'],
+	mute: ['KeyM'],
+	fullscreen: ['KeyF'],
+	clear: ['Backspace', 'Delete'],
+	reset: ['KeyR'],
+	left: ['ArrowLeft', 'KeyA', 'Button14'],
+	up: ['ArrowUp', 'KeyW', 'Button12'],
+	right: ['ArrowRight', 'KeyD', 'Button15'],
+	down: ['ArrowDown', 'KeyS', 'Button13']
+};
+
+/**
+ * @param {Object} event A keydown event, or a gamepad button press from the input handler
+ * @param {String} name A key of state_keys
+ * @returns {Boolean} true if the event is one of the keys listed under the name
+ */
+function isStateKey(event, name) {
+	return state_keys[name].includes(event.code);
+}
+
+/**
+ * A screen the game can be on. The state machine forwards update, draw and key presses to the
+ * active state only, so every state decides for itself what those mean.
+ *
+ * @typedef Game_State
+ */
+class Game_State {
+	/** @type {Number} Seconds since this state was entered */
+	time_in_state = 0;
+
+	/**
+	 * @param {State_Machine} machine The machine that owns this state
+	 */
+	constructor(machine) {
+		this.machine = machine;
+	}
+
+	/**
+	 * Called when the machine switches to this state.
+	 */
+	enter() {
+		this.time_in_state = 0;
+	}
+
+	/**
+	 * Called when the machine switches away from this state.
+	 */
+	exit() {}
+
+	/**
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		this.time_in_state += delta_time;
+	}
+
+	/**
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {}
+
+	/**
+	 * @param {Object} event The keydown event
+	 */
+	keydown(event) {}
+}
+
+
+/**
+ * Shown while the sprites load. Moves on to the title screen once every image has loaded or
+ * failed, so nothing is ever drawn from a half decoded image.
+ *
+ * @typedef Loading_State
+ */
+class Loading_State extends Game_State {
+	update(delta_time) {
+		super.update(delta_time);
+		if (assets.isLoaded()) {
+			this.machine.change('title');
+		}
+	}
+
+	draw(graphics) {
+		const center = config.canvas_size.width / 2;
+		const middle = config.canvas_size.height / 2;
+		const bar_width = 200;
+
+		graphics.fillStyle = '#000000';
+		graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.font = "20px Arial";
+		graphics.fillText('Loading', center, middle - 20);
+
+		graphics.strokeStyle = '#FFFFFF';
+		graphics.strokeRect(center - bar_width / 2, middle, bar_width, 10);
+		graphics.fillRect(center - bar_width / 2, middle, bar_width * assets.progress, 10);
+	}
+}
+
+
+/**
+ * The title screen. An attract-mode demo plays behind the title until space is pressed.
+ *
+ * @typedef Title_State
+ */
+class Title_State extends Game_State {
+	/** @type {World} A world that only exists to be watched, it never touches the real one */
+	demo_world = new World();
+
+	enter() {
+		super.enter();
+		this.demo_world.level_script = world.level_script;
+		this.demo_world.start();
+	}
+
+	update(delta_time) {
+		super.update(delta_time);
+
+		// the autopilot sweeps back and forth and never lets go of the trigger
+		const controller = this.demo_world.controller;
+		controller.move_x = Math.sin(this.demo_world.loop_count / 40) > 0 ? 1 : -1;
+		controller.action_1 = true;
+
+		this.demo_world.update(delta_time);
+		if (this.demo_world.isOver()) {
+			this.demo_world.start();
+		}
+	}
+
+	draw(graphics) {
+		drawWorld(graphics, this.demo_world);
+		drawOverlay(graphics);
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.font = "28px Arial";
+		graphics.fillText('SPACE SHOOTER 35', config.canvas_size.width / 2, config.canvas_size.height / 2 - 40);
+
+		graphics.font = "12px Arial";
+		graphics.fillText(`high score ${world.high_score}`, config.canvas_size.width / 2, config.canvas_size.height / 2);
+		// blink the prompt once a second
+		if (this.time_in_state % 1 < .6) {
+			graphics.fillText(touch_controls.enabled ? 'tap to start' : 'press space to start', config.canvas_size.width / 2, config.canvas_size.height / 2 + 30);
+		}
+
+		graphics.font = "10px Arial";
+		graphics.fillText(`difficulty ${difficultyLabel(world.difficulty, world.difficulty_scaling)} (x and z to change)`, config.canvas_size.width / 2, config.canvas_size.height - 62);
+		graphics.fillText(world.player_count > 1 ? 'co-op, 2 players (2 to change)' : '1 player (2 for co-op)', config.canvas_size.width / 2, config.canvas_size.height - 48);
+		graphics.fillText('h: high scores, t: achievements, c: controls, o: settings', config.canvas_size.width / 2, config.canvas_size.height - 34);
+		graphics.fillText(`level script: ${world.level_script.name || 'custom'} (l to change)`, config.canvas_size.width / 2, config.canvas_size.height - 20);
+	}
+
+	keydown(event) {
+		if (isStateKey(event, 'confirm')) {
+			start();
+		}
+
+		if (isStateKey(event, 'high_scores')) {
+			this.machine.change('high_scores');
+		}
+
+		if (isStateKey(event, 'controls')) {
+			this.machine.change('controls');
+		}
+
+		if (isStateKey(event, 'achievements')) {
+			this.machine.change('achievements');
+		}
+
+		if (isStateKey(event, 'settings')) {
+			this.machine.change('settings');
+		}
+
+		// takes effect when the next run starts
+		if (isStateKey(event, 'co_op')) {
+			world.player_count = world.player_count > 1 ? 1 : 2;
+		}
+
+		// both take effect when the next run starts
+		if (isStateKey(event, 'difficulty')) {
+			settings.step('difficulty', 1);
+		}
+		if (isStateKey(event, 'difficulty_scaling')) {
+			settings.step('difficulty_scaling', 1);
+		}
+
+		// cycle through the scripts that ship with the game
+		if (isStateKey(event, 'level_script')) {
+			const names = Object.keys(level_scripts);
+			const next = names[(names.indexOf(world.level_script.name) + 1) % names.length];
+			world.level_script = level_scripts[next];
+			this.demo_world.level_script = world.level_script;
+			this.demo_world.start();
+		}
+	}
+}
+
+
+/**
+ * The game itself. The world only moves forward while this state is active.
+ *
+ * @typedef Playing_State
+ */
+class Playing_State extends Game_State {
+	enter() {
+		super.enter();
+		audio.resume();
+		audio.playMusic('main');
+	}
+
+	update(delta_time) {
+		super.update(delta_time);
+
+		// a replay drives the controller instead of the keyboard and ends on its last recorded frame,
+		// no part of a watched run is ever recorded or played live
+		if (replay_player != null) {
+			if (!replay_player.apply()) {
+				audio.stopMusic();
+				this.machine.change('game_over');
+				return;
+			}
+		} else {
+			recorder.capture();
+		}
+		world.update(delta_time);
+		achievements.check(world);
+
+		if (world.isOver()) {
+			audio.stopMusic();
+			// watched replays don't go on the table
+			const live = replay_player == null;
+			this.machine.change(live && high_scores.qualifies(world.score) ? 'enter_initials' : 'game_over');
+		}
+	}
+
+	draw(graphics) {
+		drawWorld(graphics, world);
+		touch_controls.draw(graphics);
+	}
+
+	keydown(event) {
+		if (isStateKey(event, 'pause') || isStateKey(event, 'escape')) {
+			this.machine.change('paused');
+		}
+	}
+}
+
+
+/**
+ * Freezes the world. Entered with the pause key or when the tab is hidden.
+ *
+ * @typedef Paused_State
+ */
+class Paused_State extends Game_State {
+	enter() {
+		super.enter();
+		// the sound stays frozen through the settings screen, the playing state picks it back up
+		audio.suspend();
+	}
+
+	draw(graphics) {
+		drawWorld(graphics, world);
+		drawOverlay(graphics);
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.font = "30px Arial";
+		graphics.fillText('Paused', config.canvas_size.width / 2, config.canvas_size.height / 2);
+
+		graphics.font = "12px Arial";
+		graphics.fillText(touch_controls.enabled ? 'tap to resume' : 'press p to resume', config.canvas_size.width / 2, 18 + config.canvas_size.height / 2);
+		graphics.font = "10px Arial";
+		graphics.fillText('o for settings, f for fullscreen', config.canvas_size.width / 2, 34 + config.canvas_size.height / 2);
+	}
+
+	keydown(event) {
+		if (isStateKey(event, 'pause') || isStateKey(event, 'escape')) {
+			this.machine.change('playing');
+		}
+
+		if (isStateKey(event, 'settings')) {
+			this.machine.change('settings');
+		}
+	}
+}
+
+
+/**
+ * Shown after the player dies, with a summary of the run. Leaving this state is the only time the
+ * world gets reset.
+ *
+ * @typedef Game_Over_State
+ */
+class Game_Over_State extends Game_State {
+	/** @type {Number} Seconds before space restarts, so a held fire button doesn't skip the screen */
+	restart_delay = 1;
+
+	draw(graphics) {
+		drawWorld(graphics, world);
+		drawOverlay(graphics);
+
+		const center = config.canvas_size.width / 2;
+		const middle = config.canvas_size.height / 2;
+		const stats = world.results();
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.font = "30px Arial";
+		graphics.fillText(stats.won ? 'You Win' : 'Game Over', center, middle - 80);
+
+		graphics.font = "12px Arial";
+		if (stats.player_count > 1) {
+			graphics.fillText(`team score ${stats.score} (p1 ${stats.player_scores[0]}, p2 ${stats.player_scores[1]})`, center, middle - 40);
+		} else {
+			graphics.fillText(`score ${stats.score}`, center, middle - 40);
+		}
+		if (last_place >= 0) {
+			graphics.fillText(`new high score, #${last_place + 1} on the table`, center, middle - 22);
+		} else {
+			graphics.fillText(`high score ${world.high_score}`, center, middle - 22);
+		}
+		graphics.fillText(`reached level ${stats.level}, survived ${stats.time_alive.toFixed(2)} seconds`, center, middle - 4);
+		graphics.fillText(`enemies killed ${stats.enemies_killed} of ${stats.enemies_spawned}`, center, middle + 14);
+		graphics.fillText(`bosses killed ${stats.bosses_killed} of ${stats.bosses_spawned}`, center, middle + 32);
+		graphics.fillText(`difficulty ${difficultyLabel(stats.difficulty, stats.difficulty_scaling)}`, center, middle + 50);
+
+		if (this.time_in_state >= this.restart_delay) {
+			graphics.fillText(touch_controls.enabled ? 'tap to restart' : 'press space to restart', center, middle + 70);
+		}
+	}
+
+	keydown(event) {
+		if (isStateKey(event, 'confirm') && this.time_in_state >= this.restart_delay) {
+			start();
+		}
+	}
+}
+
+
+/**
+ * Lets the player put their initials on the high score table, arcade style: up and down pick a
+ * character, left and right move between the three slots, space or enter confirms. Taps and clicks
+ * work the arrows drawn above and below every letter and the ok button under them.
+ *
+ * @typedef Initials_State
+ */
+class Initials_State extends Game_State {
+	/** @type {Array<Number>} Index into INITIALS_ALPHABET of every slot */
+	letters = [0, 0, 0];
+
+	/** @type {Number} The slot being edited */
+	cursor = 0;
+
+	/** @type {Number} Seconds before keys count, so firing at the moment of death doesn't type */
+	input_delay = .5;
+
+	enter() {
+		super.enter();
+		this.cursor = 0;
+		// start from the last initials entered, most players type the same ones every time
+		this.letters = last_initials.split('').map(letter => Math.max(0, INITIALS_ALPHABET.indexOf(letter)));
+	}
+
+	/**
+	 * @param {Number} slot Index of a letter
+	 * @returns {Object} {x, up, down}, the center of the letter and of the arrows above and below it
+	 */
+	slotPosition(slot) {
+		const middle = config.canvas_size.height / 2;
+		return {x: config.canvas_size.width / 2 + (slot - 1) * 30, up: middle - 38, down: middle + 22};
+	}
+
+	/** @type {Object} {x, y, width, height} of the ok button, for touch screens and the mouse */
+	get ok_button() {
+		return {x: config.canvas_size.width / 2 - 30, y: config.canvas_size.height / 2 + 64, width: 60, height: 24};
+	}
+
+	/**
+	 * Draws a small arrow pointing up or down.
+	 *
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 * @param {Number} x Center of the arrow
+	 * @param {Number} y Center of the arrow
+	 * @param {Number} direction -1 to point up, 1 to point down
+	 */
+	drawArrow(graphics, x, y, direction) {
+		graphics.beginPath();
+		graphics.moveTo(x - 7, y - direction * 5);
+		graphics.lineTo(x + 7, y - direction * 5);
+		graphics.lineTo(x, y + direction * 5);
+		graphics.closePath();
+		graphics.fill();
+	}
+
+	/**
+	 * Saves the initials and moves on to the game over screen.
+	 */
+	save() {
+		last_initials = this.letters.map(letter => INITIALS_ALPHABET[letter]).join('');
+		last_place = high_scores.add(last_initials, world.results());
+		this.machine.change('game_over');
+	}
+
+	/**
+	 * Works the arrows and the ok button for a tap or a click.
+	 *
+	 * @param {Object} point Where it landed in playfield space
+	 */
+	tap(point) {
+		const count = INITIALS_ALPHABET.length;
+		this.letters.forEach((letter, slot) => {
+			const position = this.slotPosition(slot);
+			if (Math.abs(point.x - position.x) > 14) {
+				return;
+			}
+			if (Math.abs(point.y - position.up) <= 12) {
+				this.letters[slot] = (letter + 1) % count;
+				this.cursor = slot;
+			} else if (Math.abs(point.y - position.down) <= 12) {
+				this.letters[slot] = (letter + count - 1) % count;
+				this.cursor = slot;
+			}
+		});
+
+		const ok = this.ok_button;
+		if (point.x >= ok.x && point.x <= ok.x + ok.width && point.y >= ok.y && point.y <= ok.y + ok.height) {
+			this.save();
+		}
+	}
+
+	draw(graphics) {
+		drawWorld(graphics, world);
+		drawOverlay(graphics);
+
+		const center = config.canvas_size.width / 2;
+		const middle = config.canvas_size.height / 2;
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.font = "24px Arial";
+		graphics.fillText('New High Score', center, middle - 70);
+
+		graphics.font = "12px Arial";
+		graphics.fillText(`score ${world.score}`, center, middle - 46);
+
+		graphics.font = "30px Arial";
+		this.letters.forEach((letter, slot) => {
+			const position = this.slotPosition(slot);
+			const x = position.x;
+			graphics.fillText(INITIALS_ALPHABET[letter], x, middle);
+			// underline the slot being edited, blinking like an arcade cursor
+			if (slot != this.cursor || this.time_in_state % .6 < .4) {
+				graphics.fillRect(x - 10, middle + 6, 20, slot == this.cursor ? 3 : 1);
+			}
+			this.drawArrow(graphics, x, position.up, -1);
+			this.drawArrow(graphics, x, position.down, 1);
+		});
+
+		graphics.font = "10px Arial";
+		if (touch_controls.enabled) {
+			graphics.fillText('tap the arrows to pick, then ok', center, middle + 50);
+		} else {
+			graphics.fillText('up/down to pick, left/right to move', center, middle + 44);
+			graphics.fillText('space to confirm', center, middle + 58);
+		}
+
+		const ok = this.ok_button;
+		graphics.strokeStyle = '#FFFFFF';
+		graphics.strokeRect(ok.x, ok.y, ok.width, ok.height);
+		graphics.font = "12px Arial";
+		graphics.fillText('OK', center, ok.y + 16);
+	}
+
+	keydown(event) {
+		if (this.time_in_state < this.input_delay) {
+			return;
+		}
+		// taps and clicks work the buttons on screen instead of confirming
+		if (event.point !== undefined) {
+			this.tap(event.point);
+			return;
+		}
+		const count = INITIALS_ALPHABET.length;
+
+		if (isStateKey(event, 'up')) {
+			this.letters[this.cursor] = (this.letters[this.cursor] + 1) % count;
+		}
+		if (isStateKey(event, 'down')) {
+			this.letters[this.cursor] = (this.letters[this.cursor] + count - 1) % count;
+		}
+		if (isStateKey(event, 'left')) {
+			this.cursor = Math.max(0, this.cursor - 1);
+		}
+		if (isStateKey(event, 'right')) {
+			this.cursor = Math.min(this.letters.length - 1, this.cursor + 1);
+		}
+
+		if (isStateKey(event, 'confirm')) {
+			if (this.cursor < this.letters.length - 1) {
+				this.cursor++;
+				return;
+			}
+			this.save();
+		}
+	}
+}
+
+
+/**
+ * The high score table, opened from the title screen.
+ *
+ * @typedef High_Scores_State
+ */
+class High_Scores_State extends Game_State {
+	draw(graphics) {
+		graphics.fillStyle = '#000000';
+		graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+
+		drawHighScores(graphics, high_scores, 60);
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.font = "10px Arial";
+		graphics.fillText('press space to go back', config.canvas_size.width / 2, config.canvas_size.height - 20);
+	}
+
+	keydown(event) {
+		if (isStateKey(event, 'confirm') || isStateKey(event, 'escape') || isStateKey(event, 'high_scores')) {
+			this.machine.change('title');
+		}
+	}
+}
+
+
+/**
+ * Lists every achievement, unlocked or not, with the lifetime stats under them.
+ *
+ * @typedef Achievements_State
+ */
+class Achievements_State extends Game_State {
+	draw(graphics) {
+		const center = config.canvas_size.width / 2;
+		const names = Object.keys(achievements.definitions);
+		const unlocked = names.filter(name => achievements.isUnlocked(name)).length;
+
+		graphics.fillStyle = '#000000';
+		graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.font = "20px Arial";
+		graphics.fillText(`Achievements ${unlocked}/${names.length}`, center, 36);
+
+		graphics.textAlign = "left";
+		names.forEach((name, index) => {
+			const achievement = achievements.definitions[name];
+			const y = 62 + index * 25;
+			graphics.fillStyle = achievements.isUnlocked(name) ? '#FFD700' : '#606060';
+			graphics.font = "12px Arial";
+			graphics.fillText(achievement.name, 12, y);
+			graphics.font = "10px Arial";
+			graphics.fillText(achievement.description, 12, y + 11);
+		});
+
+		const totals = lifetime_stats.totals;
+		const kills = Object.keys(totals.kills).map(type => {
+			const boss = boss_definitions[type];
+			return `${boss ? boss.name.toLowerCase() : type} ${totals.kills[type]}`;
+		});
+		const lines = [
+			`played ${formatDuration(totals.playtime)} over ${totals.runs} runs`,
+			`best survival ${formatDuration(totals.best_survival)}`,
+			`kills ${totals.enemies_killed}${kills.length > 0 ? ` (${kills.join(', ')})` : ''}`,
+			`bosses killed ${totals.bosses_killed}`,
+			`shots fired ${totals.shots_fired}, accuracy ${(Lifetime_Stats.accuracy(totals) * 100).toFixed(1)}%`
+		];
+		const top = 62 + names.length * 25 + 6;
+		graphics.fillStyle = '#FFFFFF';
+		graphics.font = "12px Arial";
+		graphics.fillText('Lifetime', 12, top);
+		graphics.font = "10px Arial";
+		lines.forEach((line, index) => {
+			graphics.fillText(line, 12, top + 14 + index * 12);
+		});
+
+		graphics.textAlign = "center";
+		graphics.fillText('press space to go back', center, config.canvas_size.height - 10);
+	}
+
+	keydown(event) {
+		if (isStateKey(event, 'confirm') || isStateKey(event, 'escape') || isStateKey(event, 'achievements')) {
+			this.machine.change('title');
+		}
+	}
+}
+
+
+/**
+ * Lists every action with its bindings and lets the player change them. Choices are saved by the
+ * input handler as soon as they are made.
+ *
+ * @typedef Controls_State
+ */
+class Controls_State extends Game_State {
+	/** @type {Number} Index of the selected action */
+	selected = 0;
+
+	/** @type {Number} Whose bindings are shown, 0 for player one */
+	player = 0;
+
+	/** @type {Boolean} true while waiting for the key or button to bind */
+	capturing = false;
+
+	/** @type {String} Shown under the list, tells the player why a key was refused */
+	message = '';
+
+	/** @type {String} The state escape goes back to, the title or the settings menu */
+	back = 'title';
+
+	enter() {
+		super.enter();
+		this.capturing = false;
+		this.message = '';
+		this.back = this.machine.previous_name == 'settings' ? 'settings' : 'title';
+	}
+
+	/** @type {String} The selected key of input_actions */
+	get action() {
+		return Object.keys(input_actions)[this.selected];
+	}
+
+	/** @type {InputHandler} The handler of the player being shown */
+	get handler() {
+		return input_handlers[this.player];
+	}
+
+	draw(graphics) {
+		const center = config.canvas_size.width / 2;
+
+		graphics.fillStyle = '#000000';
+		graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.font = "24px Arial";
+		graphics.fillText('Controls', center, 60);
+		graphics.font = "12px Arial";
+		graphics.fillText(`< player ${this.player + 1} >`, center, 78);
+
+		graphics.font = "10px Arial";
+		Object.keys(input_actions).forEach((action, index) => {
+			const y = 100 + index * 36;
+			const selected = index == this.selected;
+			graphics.fillStyle = selected ? '#FFD700' : '#FFFFFF';
+			graphics.textAlign = "left";
+			graphics.fillText(`${selected ? '> ' : ''}${input_actions[action].label}`, 16, y);
+
+			const codes = this.handler.bindings[action];
+			const names = codes.length > 0 ? codes.map(code => bindingName(code)).join(', ') : 'none';
+			graphics.fillStyle = '#AAAAAA';
+			graphics.fillText(selected && this.capturing ? 'press a key or button...' : names, 28, y + 14);
+		});
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.fillText(this.message, center, config.canvas_size.height - 92);
+		if (this.capturing) {
+			graphics.fillText('esc to cancel', center, config.canvas_size.height - 48);
+		} else {
+			graphics.fillText('up/down to pick, left/right for the other player', center, config.canvas_size.height - 76);
+			graphics.fillText('enter to add a binding', center, config.canvas_size.height - 62);
+			graphics.fillText('backspace to clear, r to reset all', center, config.canvas_size.height - 48);
+			graphics.fillText('esc to go back', center, config.canvas_size.height - 34);
+		}
+	}
+
+	keydown(event) {
+		if (this.capturing) {
+			this.capturing = false;
+			if (isStateKey(event, 'escape')) {
+				this.message = '';
+				return;
+			}
+			// a tap has no code of its own to bind
+			if (event.code.startsWith('Touch')) {
+				this.message = 'touch controls can\'t be rebound';
+				return;
+			}
+			// pausing, muting and fullscreen have to keep working whatever the bindings are
+			const kept = ['pause', 'mute', 'fullscreen'].find(name => isStateKey(event, name));
+			if (kept !== undefined) {
+				this.message = `${bindingName(event.code)} is kept for ${kept}`;
+				return;
+			}
+			this.handler.bind(this.action, event.code);
+			this.message = `${bindingName(event.code)} now does ${input_actions[this.action].label.toLowerCase()}`;
+			return;
+		}
+
+		const count = Object.keys(input_actions).length;
+		if (isStateKey(event, 'up')) {
+			this.selected = (this.selected + count - 1) % count;
+		}
+		if (isStateKey(event, 'down')) {
+			this.selected = (this.selected + 1) % count;
+		}
+		if (isStateKey(event, 'left') || isStateKey(event, 'right')) {
+			this.player = (this.player + 1) % input_handlers.length;
+			this.message = '';
+		}
+		if (isStateKey(event, 'confirm')) {
+			this.capturing = true;
+			this.message = '';
+		}
+		if (isStateKey(event, 'clear')) {
+			this.handler.clearBindings(this.action);
+			this.message = `${input_actions[this.action].label} is unbound`;
+		}
+		if (isStateKey(event, 'reset')) {
+			this.handler.resetBindings();
+			this.message = `player ${this.player + 1} controls are back to their defaults`;
+		}
+		if (isStateKey(event, 'escape')) {
+			this.machine.change(this.back);
+		}
+	}
+}
+
+
+/**
+ * Lists every setting under its group, with a way to the controls screen and a reset to the
+ * defaults at the bottom. Changes are applied and saved by the settings as soon as they are made.
+ *
+ * @typedef Settings_State
+ */
+class Settings_State extends Game_State {
+	/** @type {Object<String, String>} The rows under the settings that do something instead */
+	actions = {
+		fullscreen: 'Fullscreen (f)',
+		controls: 'Controls...',
+		reset: 'Reset to defaults'
+	};
+
+	/** @type {Number} Index of the selected row */
+	selected = 0;
+
+	/** @type {String} The state escape goes back to, the title or the pause screen */
+	back = 'title';
+
+	/** @type {String} Shown under the list, says what the last action did */
+	message = '';
+
+	enter() {
+		super.enter();
+		this.message = '';
+		// the controls screen comes back here, the way back out stays the same
+		if (this.machine.previous_name != 'controls') {
+			this.back = this.machine.previous_name;
+		}
+	}
+
+	/** @type {Array<String>} Every row, the settings first and the actions after them */
+	get rows() {
+		return Object.keys(settings.definitions).concat(Object.keys(this.actions));
+	}
+
+	draw(graphics) {
+		const center = config.canvas_size.width / 2;
+		const right = config.canvas_size.width - 16;
+
+		graphics.fillStyle = '#000000';
+		graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.font = "24px Arial";
+		graphics.fillText('Settings', center, 36);
+
+		let y = 50;
+		let group = null;
+		this.rows.forEach((name, index) => {
+			const definition = settings.definitions[name];
+			const selected = index == this.selected;
+
+			// a heading wherever a new group starts, and a gap before the actions
+			const row_group = definition ? definition.group : null;
+			if (row_group != group) {
+				group = row_group;
+				y += 8;
+				if (group != null) {
+					graphics.fillStyle = '#AAAAAA';
+					graphics.textAlign = "left";
+					graphics.font = "bold 10px Arial";
+					graphics.fillText(group.toUpperCase(), 12, y);
+					y += 13;
+				}
+			}
+
+			graphics.fillStyle = selected ? '#FFD700' : '#FFFFFF';
+			graphics.font = "10px Arial";
+			graphics.textAlign = "left";
+			graphics.fillText(`${selected ? '> ' : ''}${definition ? definition.label : this.actions[name]}`, 20, y);
+			if (definition) {
+				graphics.textAlign = "right";
+				graphics.fillText(settings.format(name), right, y);
+			}
+			y += 13;
+		});
+
+		graphics.fillStyle = '#FFFFFF';
+		graphics.textAlign = "center";
+		graphics.fillText(this.message, center, config.canvas_size.height - 52);
+		graphics.fillText('up/down to pick, left/right to change', center, config.canvas_size.height - 34);
+		graphics.fillText('esc to go back', center, config.canvas_size.height - 20);
+	}
+
+	keydown(event) {
+		const rows = this.rows;
+		const name = rows[this.selected];
+		const definition = settings.definitions[name];
+
+		if (isStateKey(event, 'up')) {
+			this.selected = (this.selected + rows.length - 1) % rows.length;
+			this.message = '';
+		}
+		if (isStateKey(event, 'down')) {
+			this.selected = (this.selected + 1) % rows.length;
+			this.message = '';
+		}
+		if (definition && (isStateKey(event, 'left') || isStateKey(event, 'right'))) {
+			settings.step(name, isStateKey(event, 'left') ? -1 : 1);
+		}
+		if (isStateKey(event, 'confirm')) {
+			if (definition) {
+				settings.step(name, 1);
+			} else if (name == 'fullscreen') {
+				toggleFullscreen();
+			} else if (name == 'controls') {
+				this.machine.change('controls');
+			} else if (name == 'reset') {
+				settings.reset();
+				input_handlers.forEach(handler => handler.resetBindings());
+				this.message = 'settings and controls are back to their defaults';
+			}
+		}
+		if (isStateKey(event, 'escape') || isStateKey(event, 'settings')) {
+			this.machine.change(this.back);
+		}
+	}
+}
+
+
+/**
+ * Owns the game states and forwards everything to the active one.
+ *
+ * @typedef State_Machine
+ */
+class State_Machine {
+	/** @type {Game_State} The active state */
+	current = null;
+
+	/** @type {String} The name of the active state */
+	current_name = null;
+
+	/** @type {String} The name of the state that was active before it */
+	previous_name = null;
+
+	constructor() {
+		this.states = {
+			loading: new Loading_State(this),
+			title: new Title_State(this),
+			playing: new Playing_State(this),
+			paused: new Paused_State(this),
+			game_over: new Game_Over_State(this),
+			enter_initials: new Initials_State(this),
+			high_scores: new High_Scores_State(this),
+			achievements: new Achievements_State(this),
+			controls: new Controls_State(this),
+			settings: new Settings_State(this)
+		};
+	}
+
+	/**
+	 * Switches to another state.
+	 *
+	 * @param {String} name One of loading, title, playing, paused, game_over, enter_initials,
+	 * high_scores, achievements, controls or settings
+	 */
+	change(name) {
+		if (this.current != null) {
+			this.current.exit();
+		}
+		this.previous_name = this.current_name;
+		this.current_name = name;
+		this.current = this.states[name];
+		this.current.enter();
+	}
+
+	/**
+	 * @param {Number} delta_time Time in seconds since last update call.
+	 */
+	update(delta_time) {
+		this.current.update(delta_time);
+	}
+
+	/**
+	 * @param {CanvasRenderingContext2D} graphics The current graphics context.
+	 */
+	draw(graphics) {
+		this.current.draw(graphics);
+	}
+
+	/**
+	 * @param {Object} event The keydown event
+	 */
+	keydown(event) {
+		if (event.repeat) {
+			return;
+		}
+		this.current.keydown(event);
+	}
+}
+
+/*
+------------------------------
+------- MAIN SECTION  --------
+------------------------------
+*/
+
+/** @type {Number} last frame time in seconds */
+var last_time = null;
+
+/** @type {Number} Longest stretch of time the loop will try to catch up on after a stall */
+const max_catch_up = .25;
+
+/** @type {Number} Seconds of updates since the last frame was drawn */
+var since_draw = 0;
+
+/** @type {Object} Frames drawn since the counter last came up with a frame rate */
+var frame_counter = {frames: 0, since: 0, fps: 0};
+
+/** @type {World} The simulation, see game_core.js */
+var world = new World();
+
+/** @type {Asset_Manager} Every sprite the game draws, see assets.js */
+var assets = new Asset_Manager(sprite_manifest);
+
+/** @type {Audio_Manager} Sound effects and music, see audio.js */
+var audio = new Audio_Manager(sound_manifest, music_tracks);
+world.audio = audio;
+
+/** @type {Settings} The player's settings, kept in localStorage */
+var settings = new Settings(setting_definitions, localStorageOrNull());
+settings.apply();
+
+/**
+ * @returns {Storage} window.localStorage, or null where the browser refuses access to it
+ */
+function localStorageOrNull() {
+	try {
+		return window.localStorage;
+	} catch (error) {
+		console.warn('localStorage is not available, nothing will be saved');
+		return null;
+	}
+}
+
+/** @type {High_Score_Table} The best runs on this machine, kept in localStorage */
+var high_scores = new High_Score_Table(localStorageOrNull());
+world.high_score = high_scores.best();
+
+/** @type {Lifetime_Stats} Totals over every run played on this machine, kept in localStorage */
+var lifetime_stats = new Lifetime_Stats(localStorageOrNull());
+lifetime_stats.track(world);
+
+/** @type {Achievements} What the player has unlocked so far, kept in localStorage */
+var achievements = new Achievements(lifetime_stats, localStorageOrNull());
+achievements.watch(world);
+
+/** @type {Array<Object>} Achievements unlocked but not shown yet, {name, time_left}, first one showing */
+var toasts = [];
+
+/** @type {Number} Seconds each achievement toast stays on screen */
+const toast_duration = 3;
+
+achievements.on_unlock = (name) => {
+	toasts.push({name, time_left: toast_duration});
+	audio.play('achievement');
+};
+
+/** @type {String} Initials entered last, offered again on the next new high score */
+var last_initials = 'AAA';
+
+/** @type {Number} Place on the high score table the last run got, -1 if it didn't make it */
+var last_place = -1;
+
+/** @type {Array<InputHandler>} Feed the keyboard and gamepads into the world's controllers */
+var input_handlers = [0, 1].map(index => new InputHandler(world.controllers[index], localStorageOrNull(), index));
+
+/** @type {InputHandler} Player one's input handler, the one touch controls feed into */
+var input_handler = input_handlers[0];
+
+/** @type {Touch_Controls} Lets phones and tablets drive the same controller */
+var touch_controls = new Touch_Controls(game_canvas, input_handler);
+
+/** @type {Input_Recorder} Records every run so it can be exported for bug reports */
+var recorder = new Input_Recorder(world);
+
+/** @type {Replay_Player} The replay being watched, null while playing live */
+var replay_player = null;
+
+/** @type {State_Machine} Decides which screen is showing */
+var state_machine = new State_Machine();
+
+/**
+ * Draws a world to the canvas.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {World} world The world to draw
+ */
+function drawWorld(graphics, world) {
 	// default font config
 	graphics.font = "10px Arial";
 	graphics.textAlign = "left";
 
 	// draw background (this clears the screen for the next frame)
+	const camera = world.camera;
+	camera.drawBackground(graphics);
+
+	// everything in the playfield shakes with the camera
+	camera.begin(graphics);
+
+	// particles go underneath, so the engine trail stays behind the ship
+	world.particles.draw(graphics);
+
+	// for loop over every eneity and draw them
+	Object.values(world.entities).forEach(entity => {
+		entity.draw(graphics, assets);
+	});
+
+	if (config.debug.hitboxes) {
+		drawHitboxes(graphics, world);
+	}
+
+	camera.end(graphics);
+	camera.drawEffects(graphics);
+
+	// the hud stays put while the playfield shakes
+	if (config.hud.canvas) {
+		drawHud(graphics, world);
+	}
+	drawBossBars(graphics, world);
+	drawPlayerStatus(graphics, world);
+}
+
+/**
+ * Outlines the box every body that collides with something is checked against.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {World} world The world whose bodies to outline
+ */
+function drawHitboxes(graphics, world) {
+	graphics.lineWidth = 1;
+	Object.values(world.entities).forEach(entity => {
+		if (entity.kind == null) {
+			return;
+		}
+		const half_size = entity.half_size;
+		graphics.strokeStyle = entity.kind == 'player' ? '#00FF00' : entity.kind == 'power_up' ? '#FFFF00' : '#FF00FF';
+		graphics.strokeRect(entity.position.x - half_size.width, entity.position.y - half_size.height, entity.size.width, entity.size.height);
+	});
+}
+
+/**
+ * Draws a health bar across the top of the playfield for every boss being fought, with a notch
+ * where each of its phases starts.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {World} world The world whose bosses to show
+ */
+function drawBossBars(graphics, world) {
+	const width = 200;
+	const left = (config.canvas_size.width - width) / 2;
+
+	world.activeBosses().forEach((boss, index) => {
+		const top = 56 + index * 22;
+		const health = Math.max(0, boss.health) / boss.max_health;
+
+		graphics.font = "10px Arial";
+		graphics.textAlign = "center";
+		graphics.fillStyle = '#FFFFFF';
+		graphics.fillText(boss.definition.name.toUpperCase(), config.canvas_size.width / 2, top - 3);
+
+		graphics.fillStyle = '#9400D3';
+		graphics.fillRect(left, top, width * health, 8);
+		graphics.strokeStyle = '#FFFFFF';
+		graphics.strokeRect(left, top, width, 8);
+		graphics.fillStyle = '#FFFFFF';
+		boss.definition.phases.slice(1).forEach(phase => {
+			graphics.fillRect(left + width * phase.at - .5, top, 1, 8);
+		});
+	});
+}
+
+/**
+ * Draws the score and level along the top of the playfield, with the health bar and spare ships
+ * of every player under it. A solo player's block goes in the top left, in co-op player two's
+ * goes in the top right and the team score moves to the middle.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {World} world The world to show
+ */
+function drawHud(graphics, world) {
+	const co_op = world.players.length > 1;
+	const center = config.canvas_size.width / 2;
+	const level = world.enemy_spawner != null ? world.enemy_spawner.level : null;
+
+	graphics.font = "10px Arial";
+	graphics.textAlign = "center";
+	graphics.fillStyle = '#FFFFFF';
+	if (co_op) {
+		graphics.fillText(`TEAM ${world.score}`, center, 12);
+	}
+	if (level != null) {
+		// a level script doesn't have to name its levels
+		const name = level.name !== undefined ? level.name : `level ${world.enemy_spawner.level_index + 1}`;
+		graphics.fillText(name.toUpperCase(), center, co_op ? 24 : 12);
+	}
+
+	world.players.forEach((player, index) => {
+		const side = index == 0 ? 'left' : 'right';
+		const x = side == 'left' ? 6 : config.canvas_size.width - 6;
+
+		graphics.font = "10px Arial";
+		graphics.textAlign = side;
+		graphics.fillStyle = '#FFFFFF';
+		graphics.fillText(co_op ? `P${index + 1} ${player.score}` : `SCORE ${world.score}`, x, 12);
+
+		if (player.removed) {
+			const waiting = world.canRespawn(index) ? `back in ${Math.ceil(world.respawnTime(index))}` : 'out';
+			graphics.fillText(waiting, x, 26);
+		} else {
+			drawHealthBar(graphics, player, side == 'left' ? x : x - 80, 18, 80);
+		}
+
+		// the ships waiting their turn, the one being flown doesn't count
+		const spare = player.removed ? player.lives : player.lives - 1;
+		for (let i = 0; i < spare; i++) {
+			const offset = 5 + i * 12;
+			assets.drawSprite(graphics, 'player', side == 'left' ? x + offset : x - offset, 36, 8, 8, 0, player.tint);
+		}
+
+		if (player.combo > 1) {
+			graphics.font = "10px Arial";
+			graphics.textAlign = side;
+			graphics.fillStyle = '#FFD700';
+			graphics.fillText(`COMBO x${player.combo.toFixed(1)}`, x, 52);
+		}
+	});
+}
+
+/**
+ * Draws a player's health as a bar that goes from green through yellow to red as it runs out.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {Player} player The player whose health to show
+ * @param {Number} left Left edge of the bar
+ * @param {Number} top Top edge of the bar
+ * @param {Number} width Width of the full bar
+ */
+function drawHealthBar(graphics, player, left, top, width) {
+	const health = Math.max(0, player.health) / player.max_health;
+
+	graphics.fillStyle = health > .5 ? '#30D030' : health > .25 ? '#FFD700' : '#FF0000';
+	graphics.fillRect(left, top, width * health, 6);
+	graphics.strokeStyle = '#FFFFFF';
+	graphics.strokeRect(left, top, width, 6);
+}
+
+/**
+ * Draws the buffs and weapon of every player. A solo player gets the buffs in the bottom left and
+ * the weapon in the bottom right, in co-op each player gets a corner of their own.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {World} world The world whose players to show
+ */
+function drawPlayerStatus(graphics, world) {
+	const bottom = config.canvas_size.height - 12;
+
+	if (world.players.length == 1) {
+		drawBuffTimers(graphics, world.player, 'left', bottom);
+		drawWeapon(graphics, world.player, 'right', bottom);
+		return;
+	}
+
+	world.players.forEach((player, index) => {
+		const side = index == 0 ? 'left' : 'right';
+		if (player.removed) {
+			// the canvas hud already says when they're back
+			if (!config.hud.canvas) {
+				graphics.font = "10px Arial";
+				graphics.textAlign = side;
+				graphics.fillStyle = '#FFFFFF';
+				const x = side == 'left' ? 6 : config.canvas_size.width - 6;
+				const waiting = world.canRespawn(index) ? `back in ${Math.ceil(world.respawnTime(index))}` : 'out';
+				graphics.fillText(`P${index + 1} ${waiting}`, x, bottom + 8);
+			}
+			return;
+		}
+		drawWeapon(graphics, player, side, bottom);
+		drawBuffTimers(graphics, player, side, bottom - 26);
+	});
+}
+
+/**
+ * Draws a shrinking timer bar for every buff a player has, stacked upward.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {Player} player The player whose buffs to show
+ * @param {String} side Corner to draw in, left or right
+ * @param {Number} bottom Top of the lowest bar
+ */
+function drawBuffTimers(graphics, player, side, bottom) {
+	const bar_width = 60;
+	// the label sits in front of the bar, 24 pixels wide
+	const left = side == 'left' ? 6 : config.canvas_size.width - 6 - 24 - bar_width;
+	let y = bottom;
+
+	graphics.font = "10px Arial";
+	graphics.textAlign = "left";
+	Object.keys(player.buffs).forEach(name => {
+		const buff = player.buffs[name];
+		const type = power_up_types[name];
+		const label = buff.level > 1 ? `${type.label} x${buff.level}` : type.label;
+
+		graphics.fillStyle = type.color;
+		graphics.fillText(label, left, y + 8);
+		// buffs without a duration last until used up, so their bar stays full
+		const time_left = buff.duration > 0 ? buff.time_left / buff.duration : 1;
+		graphics.fillRect(left + 24, y, bar_width * time_left, 8);
+		graphics.strokeStyle = type.color;
+		graphics.strokeRect(left + 24, y, bar_width, 8);
+
+		y -= 12;
+	});
+}
+
+/**
+ * Draws the name of a player's weapon, with its heat bar or ammo count.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {Player} player The player whose weapon to show
+ * @param {String} side Corner to draw in, left or right
+ * @param {Number} y Top of the line the name is written on
+ */
+function drawWeapon(graphics, player, side, y) {
+	const weapon = player.weapon;
+	const x = side == 'left' ? 6 : config.canvas_size.width - 6;
+
+	graphics.font = "10px Arial";
+	graphics.textAlign = side;
+	graphics.fillStyle = '#FFFFFF';
+	if (weapon.ammo !== null) {
+		graphics.fillText(`${weapon.name} ${weapon.ammo}`, x, y + 8);
+		return;
+	}
+	graphics.fillText(weapon.name, x, y + 8);
+
+	const heat = weapon.definition.heat;
+	if (heat !== undefined) {
+		const bar_width = 60;
+		const left = side == 'left' ? x : x - bar_width;
+		// the bar turns red and stays red until the weapon has fully cooled
+		graphics.fillStyle = weapon.overheated ? '#FF0000' : '#FF8C00';
+		graphics.fillRect(left, y - 12, bar_width * weapon.heat / heat.max, 8);
+		graphics.strokeStyle = '#FFFFFF';
+		graphics.strokeRect(left, y - 12, bar_width, 8);
+	}
+}
+
+/**
+ * Draws the high score table, highlighting the entry the last run made.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ * @param {High_Score_Table} table The table to draw
+ * @param {Number} top Where the heading goes
+ */
+function drawHighScores(graphics, table, top) {
+	const columns = [8, 24, 58, 96, 126, 158, 192, 244];
+
 	graphics.fillStyle = '#FFFFFF';
+	graphics.textAlign = "center";
+	graphics.font = "24px Arial";
+	graphics.fillText('High Scores', config.canvas_size.width / 2, top);
+
+	graphics.textAlign = "left";
+	graphics.font = "10px Arial";
+	['#', 'NAME', 'SCORE', 'TIME', 'KILLS', 'BOSS', 'DIFF', 'DATE'].forEach((heading, i) => {
+		graphics.fillText(heading, columns[i], top + 30);
+	});
+
+	if (table.entries.length == 0) {
+		graphics.textAlign = "center";
+		graphics.fillText('no scores yet', config.canvas_size.width / 2, top + 60);
+		return;
+	}
+
+	table.entries.forEach((entry, place) => {
+		const y = top + 50 + place * 18;
+		graphics.fillStyle = place == last_place ? '#FFD700' : '#FFFFFF';
+		[
+			place + 1,
+			entry.initials,
+			entry.score,
+			`${entry.time_alive.toFixed(0)}s`,
+			entry.enemies_killed,
+			entry.bosses_killed,
+			difficultyLabel(entry.difficulty, entry.difficulty_scaling, true),
+			entry.date.slice(0, 10)
+		].forEach((text, i) => {
+			graphics.fillText(text, columns[i], y);
+		});
+	});
+}
+
+/**
+ * @param {String} difficulty A key of difficulty_presets
+ * @param {String} scaling One of difficulty_scalings
+ * @param {Boolean} [short] true for a four letter tag that fits in a table column, with + for a
+ * ramp and ~ for adaptive difficulty
+ * @returns {String} How the difficulty is written on screen
+ */
+function difficultyLabel(difficulty, scaling, short = false) {
+	const name = difficulty_presets[difficulty].name;
+	if (short) {
+		return name.slice(0, 4).toUpperCase() + ({fixed: '', ramp: '+', adaptive: '~'})[scaling];
+	}
+	return scaling == 'fixed' ? name : `${name}, ${scaling}`;
+}
+
+/**
+ * Dims everything drawn so far so menu text stands out.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ */
+function drawOverlay(graphics) {
+	graphics.fillStyle = 'rgba(0, 0, 0, 0.6)';
 	graphics.fillRect(0, 0, config.canvas_size.width, config.canvas_size.height);
+}
 
-	// for loop over every eneity and draw them
-	Object.values(entities).forEach(entity => {
-		entity.draw(graphics);
+/**
+ * @param {Number} seconds A stretch of time
+ * @returns {String} It as hours, minutes and seconds, like 1h 02m or 3m 07s
+ */
+function formatDuration(seconds) {
+	const minutes = Math.floor(seconds / 60);
+	const pad = (value) => String(value).padStart(2, '0');
+	if (minutes >= 60) {
+		return `${Math.floor(minutes / 60)}h ${pad(minutes % 60)}m`;
+	}
+	return `${minutes}m ${pad(Math.floor(seconds % 60))}s`;
+}
+
+/**
+ * Counts down the achievement toast showing, the next one shows once it is gone.
+ *
+ * @param {Number} delta_time time since last frame in seconds
+ */
+function updateToasts(delta_time) {
+	if (toasts.length == 0) {
+		return;
+	}
+	toasts[0].time_left -= delta_time;
+	if (toasts[0].time_left <= 0) {
+		toasts.shift();
+	}
+}
+
+/**
+ * Draws the achievement toast showing, over whatever screen is up.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ */
+function drawToasts(graphics) {
+	if (toasts.length == 0) {
+		return;
+	}
+	const toast = toasts[0];
+	const width = 200;
+	const height = 36;
+	const left = (config.canvas_size.width - width) / 2;
+	const top = config.canvas_size.height - 110;
+
+	graphics.save();
+	// fade in and out over a quarter of a second
+	graphics.globalAlpha = Math.min(1, (toast_duration - toast.time_left) * 4, toast.time_left * 4);
+	graphics.fillStyle = 'rgba(0, 0, 0, 0.8)';
+	graphics.fillRect(left, top, width, height);
+	graphics.strokeStyle = '#FFD700';
+	graphics.strokeRect(left, top, width, height);
+
+	graphics.textAlign = "center";
+	graphics.fillStyle = '#FFD700';
+	graphics.font = "10px Arial";
+	graphics.fillText('ACHIEVEMENT UNLOCKED', config.canvas_size.width / 2, top + 14);
+	graphics.fillStyle = '#FFFFFF';
+	graphics.font = "12px Arial";
+	graphics.fillText(achievements.definitions[toast.name].name, config.canvas_size.width / 2, top + 28);
+	graphics.restore();
+}
+
+/**
+ * This function draws the active state to the canvas.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ */
+function draw(graphics) {
+	// nothing spills onto the bars beside the playfield, like the playfield shaking
+	graphics.save();
+	graphics.beginPath();
+	graphics.rect(0, 0, config.canvas_size.width, config.canvas_size.height);
+	graphics.clip();
+
+	state_machine.draw(graphics);
+	drawToasts(graphics);
+	if (config.debug.fps_counter) {
+		drawFrameRate(graphics);
+	}
+	graphics.restore();
+}
+
+/**
+ * Counts a drawn frame towards the frame rate counter.
+ *
+ * @param {Number} curr_time Current time in seconds
+ */
+function countFrame(curr_time) {
+	frame_counter.frames++;
+	if (curr_time - frame_counter.since >= 1) {
+		frame_counter.fps = frame_counter.frames / (curr_time - frame_counter.since);
+		frame_counter.frames = 0;
+		frame_counter.since = curr_time;
+	}
+}
+
+/**
+ * Draws the frame rate counter in the bottom left corner.
+ *
+ * @param {CanvasRenderingContext2D} graphics The current graphics context.
+ */
+function drawFrameRate(graphics) {
+	graphics.font = "10px Arial";
+	graphics.textAlign = "left";
+	graphics.fillStyle = '#00FF00';
+	graphics.fillText(`${Math.round(frame_counter.fps)} fps`, 4, config.canvas_size.height - 4);
+}
+
+/**
+ * Copies the counters of the run into the html spans next to the canvas. It listens to the world's
+ * events instead of running every frame, since the counters only move when something happens.
+ */
+function showCounters() {
+	const co_op = world.players.length > 1;
+	const you = co_op ? 'Your team has' : "You've";
+
+	scoreSpan.innerHTML = co_op ? `Team Score ${world.score}` : `Score ${world.score}`;
+	highScoreSpan.innerHTML = `The score to beat is ${world.high_score}`;
+	totalEnemiesSpawned.innerHTML = `There have been ${world.enemies_spawned} scum walking this earth`;
+	totalEnemiesKilled.innerHTML = `${you} ended ${world.enemies_killed} of their lives`;
+	totalBossesSpawned.innerHTML = `There have been ${world.bosses_spawned} Big Bois walking this earth`;
+	totalBossesKilled.innerHTML = `${you} splattered ${world.bosses_killed} of them`;
+}
+
+['gameStarted', 'enemySpawned', 'enemyKilled', 'scored', 'gameOver'].forEach(name => {
+	world.events.on(name, showCounters);
+});
+
+/**
+ * Copies the world's statistics that change every frame into the html spans next to the canvas,
+ * see showCounters() for the rest.
+ */
+function drawStats() {
+	const co_op = world.players.length > 1;
+	const you = co_op ? 'Your team has' : "You've";
+
+	// the canvas hud can take over, leaving the panels to the replay and level buttons
+	const stat_spans = [loopCount, scoreSpan, highScoreSpan, seconds_alive, totalEnemiesSpawned, totalEnemiesKilled, totalBossesSpawned, totalBossesKilled];
+	stat_spans.forEach(span => {
+		span.style.display = config.hud.side_panel ? '' : 'none';
 	});
+	if (!config.hud.side_panel) {
+		playersSpan.style.display = 'none';
+		return;
+	}
 
-	// game over screen
-	// if (player.isDead()) {
-	// 	graphics.font = "30px Arial";
-	// 	graphics.textAlign = "center";
-	// 	graphics.fillText('Game Over', config.canvas_size.width / 2, config.canvas_size.height / 2);
+	loopCount.innerHTML = `Loop Count ${world.loop_count}`;
+	seconds_alive.innerHTML = `${you} survived for ${world.time_alive.toFixed(2)} seconds`;
 
-	// 	graphics.font = "12px Arial";
-	// 	graphics.textAlign = "center";
-	// 	graphics.fillText('press space to restart', config.canvas_size.width / 2, 18 + config.canvas_size.height / 2);
-	// }
+	// every player's own score, health and ships, only worth a box in co-op
+	playersSpan.style.display = co_op ? '' : 'none';
+	playersSpan.innerHTML = !co_op ? '' : world.players.map((player, index) => {
+		const waiting = world.canRespawn(index) ? `back in ${Math.ceil(world.respawnTime(index))}s` : 'out';
+		const state = player.removed ? waiting : `health ${Math.max(0, player.health)}`;
+		return `P${index + 1} score ${player.score}, ${state}, ships ${player.lives}`;
+	}).join('<br>');
 }
 
 /**
@@ -764,58 +2526,198 @@ function loop(curr_time) {
 		last_time = curr_time;
 	}
 
-	var delta_time = curr_time - last_time;
-	timeAlive+=delta_time;
+	// don't try to replay minutes of updates after the tab was hidden
+	var delta_time = Math.min(curr_time - last_time, max_catch_up);
+
+	// gamepads can't be listened to, they have to be read every frame, and a dragged ship keeps
+	// needing new directions as it closes in on the finger
+	touch_controls.update();
+	input_handlers.forEach(handler => handler.poll());
+	audio.update();
 
 	// this allows us to make stable steps in our update functions
 	while (delta_time > config.update_rate.seconds) {
-		update(config.update_rate.seconds);
-		draw(graphics);
+		state_machine.update(config.update_rate.seconds);
+		updateToasts(config.update_rate.seconds);
 
 		delta_time -= config.update_rate.seconds;
 		last_time = curr_time;
-		loop_count++;
+		since_draw += config.update_rate.seconds;
+	}
+
+	// below the frame rate target some updates go by without being drawn, half an update of slack
+	// keeps a 60 fps target from skipping frames on rounding
+	if (since_draw > 0 && since_draw >= 1 / config.graphics.fps - config.update_rate.seconds / 2) {
+		since_draw = 0;
+		draw(graphics);
+		drawStats();
+		countFrame(curr_time);
+	}
+
+	window.requestAnimationFrame(loop);
+}
+
+// the states get key presses on top of the controller updates done by the input handler
+window.addEventListener("keydown", (event) => state_machine.keydown(event), false);
+
+// audio may only start after the player has done something, and muting works on every screen
+window.addEventListener("keydown", (event) => {
+	audio.unlock();
+	if (isStateKey(event, 'mute') && !event.repeat) {
+		settings.set('muted', !audio.muted);
+	}
+	if (isStateKey(event, 'fullscreen') && !event.repeat) {
+		toggleFullscreen();
+	}
+}, false);
+window.addEventListener("touchstart", () => audio.unlock(), false);
+window.addEventListener("mousedown", () => audio.unlock(), false);
+input_handlers.forEach(handler => {
+	handler.on_button = (event) => {
+		audio.unlock();
+		state_machine.keydown(event);
+	};
+});
+touch_controls.on_tap = (event) => state_machine.keydown(event);
+touch_controls.is_playing = () => state_machine.current_name === 'playing';
+
+// a run the page is closed on still adds its playtime
+window.addEventListener("pagehide", () => lifetime_stats.endRun(world.results()), false);
+
+// pause whenever the tab is hidden so nobody dies while they are away
+document.addEventListener("visibilitychange", () => {
+	if (document.hidden && state_machine.current_name === 'playing') {
+		state_machine.change('paused');
+	}
+}, false);
+
+/*
+------------------------------
+------ REPLAY SECTION --------
+------------------------------
+*/
 
-		score = Math.floor(30*enemiesKilled+timeAlive);
+/**
+ * Downloads the current (or just finished) run as a JSON file.
+ */
+function exportRecording() {
+	const recording = recorder.toJSON();
+	if (recording == null) {
+		return;
+	}
+
+	const blob = new Blob([JSON.stringify(recording)], {type: 'application/json'});
+	const url = URL.createObjectURL(blob);
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = `space_shooter_replay_${recording.seed}.json`;
+	link.click();
+	URL.revokeObjectURL(url);
+}
 
-		if(firstGame){
-			HighScore = 0;
+/**
+ * Reads a recording out of a file and starts playing it back into the world.
+ *
+ * @param {File} file A JSON file written by exportRecording()
+ */
+function loadRecording(file) {
+	const reader = new FileReader();
+	reader.onload = () => {
+		try {
+			replay_player = new Replay_Player(reader.result);
+		} catch (error) {
+			console.error(error);
+			alert(`Could not play that replay: ${error.message}`);
+			return;
 		}
-		loopCount.innerHTML = `Loop Count ${loop_count}`;
-		scoreSpan.innerHTML = `Score ${score}`;
-		highScoreSpan.innerHTML = `The score to beat is ${HighScore}`;
-		seconds_alive.innerHTML = `You've survived for ${timeAlive.toFixed(2)} seconds`;
-		totalEnemiesSpawned.innerHTML = `There have been ${enemiesSpawned} scum walking this earth`;
-		totalEnemiesKilled.innerHTML = `You've ended ${enemiesKilled} of their lives`;
-		totalBossesSpawned.innerHTML = `There have been ${bossesSpawned} Big Bois walking this earth`;
-		totalBossesKilled.innerHTML = `You've splattered ${bossesKilled} of them`;
+		// watching a replay doesn't add to the lifetime stats or unlock anything
+		lifetime_stats.counting = false;
+		replay_player.begin(world);
+		state_machine.change('playing');
+	};
+	reader.readAsText(file);
+}
 
+/**
+ * Ends the replay and hands the controller back to the keyboard and gamepad. Only start() calls it,
+ * right before the live run that counts again.
+ */
+function stopReplay() {
+	replay_player = null;
+	input_handlers.forEach(handler => handler.apply());
+}
 
+document.getElementById('exportReplay').addEventListener('click', exportRecording);
+document.getElementById('loadReplay').addEventListener('change', (event) => {
+	if (event.target.files.length > 0) {
+		loadRecording(event.target.files[0]);
 	}
+	// let the same file be picked again
+	event.target.value = '';
+});
 
-	window.requestAnimationFrame(loop);
+/*
+------------------------------
+------- LEVEL SECTION --------
+------------------------------
+*/
+
+/**
+ * Reads a level script out of a JSON file for the runs from now on. From the title or game over
+ * screens a new run starts on it right away, a run in progress is left alone and the script waits
+ * for the next one. Malformed scripts are rejected with the error from validateLevelScript().
+ *
+ * @param {File} file A JSON level script, see level_scripts in game_core.js
+ */
+function loadLevelScript(file) {
+	const reader = new FileReader();
+	reader.onload = () => {
+		try {
+			world.level_script = validateLevelScript(JSON.parse(reader.result));
+		} catch (error) {
+			console.error(error);
+			alert(`Could not load that level script: ${error.message}`);
+			return;
+		}
+		if (state_machine.current_name == 'title' || state_machine.current_name == 'game_over') {
+			start();
+		}
+	};
+	reader.readAsText(file);
 }
 
+document.getElementById('loadLevel').addEventListener('change', (event) => {
+	if (event.target.files.length > 0) {
+		loadLevelScript(event.target.files[0]);
+	}
+	// let the same file be picked again
+	event.target.value = '';
+});
 
 /**
- * start - Starts the game, enters the loop after
+ * start - Starts the game: ends any replay, resets the world for a new run and enters the playing
+ * state, the loop picks it up from there. Only called when leaving the title or game over screens,
+ * dying doesn't restart anything on its own.
  *
  */
 function start() {
-	entities = [];
-	queued_entities_for_removal = [];
-	enemiesKilled = 0;
-	timeAlive = 0;
-	bossesSpawned = 0;
-	bossesKilled = 0;
-	enemiesSpawned = 0;
-	player = new Player();
-	enemy_spawner = new Enemy_Spawner(1, .55);
-	collision_handler = new Collision_Handler();
-}
-firstGame = true;
-// start the game
-start();
+	if (replay_player != null) {
+		stopReplay();
+	}
+	last_place = -1;
+	// in co-op the keys player two uses are theirs alone
+	input_handler.rival = world.player_count > 1 ? input_handlers[1] : null;
+	lifetime_stats.counting = true;
+	world.start();
+	state_machine.change('playing');
+}
+
+// load the sprites behind a loading screen, the title screen and the first run come after
+state_machine.change('loading');
+assets.load();
+
+// the counters fill in as the run goes, start them off at zero
+showCounters();
 
 // start the loop
 window.requestAnimationFrame(loop);